@@ -0,0 +1,41 @@
+const { createAccessToken, listAccessTokens, revokeAccessToken } = require('../services/accessTokenService');
+
+// List the current user's personal access tokens (never the token values)
+exports.listTokens = async (req, res) => {
+  try {
+    const tokens = await listAccessTokens(req.user._id);
+    return res.status(200).json({ status: 'success', tokens: tokens.map(t => t.toPublic()) });
+  } catch (err) {
+    return res.status(500).json({ status: 'error', message: 'Failed to load tokens', error: err.message });
+  }
+};
+
+// Create a token. The response is the only time the raw token is shown.
+exports.createToken = async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body || {};
+    const { token, accessToken } = await createAccessToken(req.user._id, { name, scopes, expiresInDays });
+    return res.status(201).json({
+      status: 'success',
+      message: 'Copy this token now; it will not be shown again.',
+      token,
+      accessToken: accessToken.toPublic()
+    });
+  } catch (err) {
+    if (err.statusCode) return res.status(err.statusCode).json({ status: 'error', message: err.message });
+    return res.status(500).json({ status: 'error', message: 'Failed to create token', error: err.message });
+  }
+};
+
+// Revoke one of the current user's tokens
+exports.revokeToken = async (req, res) => {
+  try {
+    const result = await revokeAccessToken(req.params.id, req.user._id);
+    if (!result.modifiedCount) {
+      return res.status(404).json({ status: 'error', message: 'Token not found' });
+    }
+    return res.status(200).json({ status: 'success', message: 'Token revoked' });
+  } catch (err) {
+    return res.status(500).json({ status: 'error', message: 'Failed to revoke token', error: err.message });
+  }
+};
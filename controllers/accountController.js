@@ -0,0 +1,66 @@
+const User = require('../models/userModel');
+const { buildUserExport, deletionGraceMs } = require('../services/accountService');
+const { revokeUserSessions } = require('../services/sessionService');
+
+// Download a JSON archive of all of the user's data
+exports.exportData = async (req, res) => {
+  try {
+    const data = await buildUserExport(req.user._id);
+    if (!data) return res.status(404).json({ message: 'User not found' });
+    const stamp = new Date().toISOString().slice(0, 10);
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="beela-export-${stamp}.json"`);
+    return res.status(200).send(JSON.stringify(data, null, 2));
+  } catch (err) {
+    console.error('Export error:', err);
+    return res.status(500).json({ status: 'error', message: 'Failed to export data', error: err.message });
+  }
+};
+
+// Schedule account deletion after the grace period and sign out everywhere.
+// Logging back in and calling cancel within the grace period keeps the account.
+exports.requestDeletion = async (req, res) => {
+  try {
+    const { password, confirm } = req.body || {};
+    const user = await User.findById(req.user._id).select('+password');
+    if (!user) return res.status(401).json({ message: 'Not authenticated' });
+    if (user.passwordSet === false) {
+      // Provider-only accounts have no password to re-enter; require an explicit confirmation instead
+      if (confirm !== 'DELETE') return res.status(400).json({ message: 'confirm must be "DELETE"' });
+    } else {
+      if (!password) return res.status(400).json({ message: 'password is required' });
+      const isMatch = await user.comparePassword(String(password));
+      if (!isMatch) return res.status(400).json({ status: 'error', message: 'Password incorrect.' });
+    }
+
+    user.deletionRequestedAt = new Date();
+    user.deletionScheduledFor = new Date(Date.now() + deletionGraceMs());
+    await user.save();
+    await revokeUserSessions(user._id, { reason: 'logout' });
+
+    return res.status(200).json({
+      status: 'success',
+      message: 'Account scheduled for deletion.',
+      deletionScheduledFor: user.deletionScheduledFor
+    });
+  } catch (err) {
+    return res.status(500).json({ status: 'error', message: 'Server error', error: err.message });
+  }
+};
+
+// Cancel a pending deletion
+exports.cancelDeletion = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user) return res.status(401).json({ message: 'Not authenticated' });
+    if (!user.deletionScheduledFor) {
+      return res.status(400).json({ status: 'error', message: 'No deletion is scheduled' });
+    }
+    user.deletionRequestedAt = undefined;
+    user.deletionScheduledFor = undefined;
+    await user.save();
+    return res.status(200).json({ status: 'success', message: 'Account deletion cancelled.' });
+  } catch (err) {
+    return res.status(500).json({ status: 'error', message: 'Server error', error: err.message });
+  }
+};
@@ -0,0 +1,186 @@
+const mongoose = require('mongoose');
+const User = require('../models/userModel');
+const Reminder = require('../models/reminderModel');
+const Notification = require('../models/notificationModel');
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/appError');
+const { revokeUserSessions } = require('../services/sessionService');
+const audit = require('../services/auditService');
+const { ACTIONS } = audit;
+
+const USER_FIELDS = 'fullname email role phone emailVerified active createdAt updatedAt deletionScheduledFor mustResetPassword twoFactor.enabled';
+
+function escapeRegex(str) {
+  return String(str).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Admin lookups must see deactivated accounts too, so they always filter on `active`
+// explicitly (the userModel find hook only hides inactive users when the query does not).
+async function findAnyUser(id) {
+  if (!mongoose.isValidObjectId(id)) return null;
+  return User.findOne({ _id: id, active: { $in: [true, false] } }).select(USER_FIELDS);
+}
+
+// ✅ List/search users
+const listUsers = catchAsync(async (req, res) => {
+  const { q, role, active, page = 1, limit = 50 } = req.query || {};
+  const filter = {};
+  if (q) {
+    const rx = new RegExp(escapeRegex(q), 'i');
+    filter.$or = [{ email: rx }, { fullname: rx }];
+  }
+  if (role) filter.role = role;
+  filter.active = typeof active === 'undefined'
+    ? { $in: [true, false] }
+    : (active === 'true' || active === true);
+
+  const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+  const limitNum = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 100);
+  const [items, total] = await Promise.all([
+    User.find(filter).select(USER_FIELDS).sort({ createdAt: -1 }).skip((pageNum - 1) * limitNum).limit(limitNum),
+    User.countDocuments(filter),
+  ]);
+
+  res.status(200).json({ status: 'success', data: items, total, page: pageNum, limit: limitNum });
+});
+
+// ✅ Single user with reminder/notification counts
+const getUser = catchAsync(async (req, res, next) => {
+  const user = await findAnyUser(req.params.id);
+  if (!user) return next(new AppError('User not found', 404));
+
+  const [reminderCounts, notificationTotal, notificationUnread] = await Promise.all([
+    Reminder.aggregate([
+      { $match: { user: user._id, deletedAt: null } },
+      { $group: { _id: '$type', count: { $sum: 1 } } },
+    ]),
+    Notification.countDocuments({ userId: user._id }),
+    Notification.countDocuments({ userId: user._id, isRead: { $ne: true } }),
+  ]);
+
+  const reminders = { total: 0 };
+  for (const r of reminderCounts) {
+    reminders[r._id] = r.count;
+    reminders.total += r.count;
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      user,
+      counts: {
+        reminders,
+        notifications: { total: notificationTotal, unread: notificationUnread },
+      },
+    },
+  });
+});
+
+// ✅ Deactivate an account: hidden from lookups (so it cannot log in) and signed out everywhere
+const deactivateUser = catchAsync(async (req, res, next) => {
+  const user = await findAnyUser(req.params.id);
+  if (!user) return next(new AppError('User not found', 404));
+  if (String(user._id) === String(req.user._id)) return next(new AppError('You cannot deactivate your own account', 400));
+
+  await User.updateOne({ _id: user._id }, { $set: { active: false } });
+  await revokeUserSessions(user._id, { reason: 'logout' });
+  await audit.record({ action: ACTIONS.ADMIN_USER_DEACTIVATE, targetUser: user._id, metadata: { reason: req.body?.reason }, req });
+
+  res.status(200).json({ status: 'success', message: 'User deactivated' });
+});
+
+// ✅ Reactivate a deactivated account
+const reactivateUser = catchAsync(async (req, res, next) => {
+  const user = await findAnyUser(req.params.id);
+  if (!user) return next(new AppError('User not found', 404));
+
+  await User.updateOne({ _id: user._id }, { $set: { active: true } });
+  await audit.record({ action: ACTIONS.ADMIN_USER_REACTIVATE, targetUser: user._id, req });
+
+  res.status(200).json({ status: 'success', message: 'User reactivated' });
+});
+
+// ✅ Force a password reset: sign out everywhere and refuse password logins until the
+// user completes the forgot-password flow
+const forcePasswordReset = catchAsync(async (req, res, next) => {
+  const user = await findAnyUser(req.params.id);
+  if (!user) return next(new AppError('User not found', 404));
+
+  await User.updateOne({ _id: user._id }, { $set: { mustResetPassword: true } });
+  await revokeUserSessions(user._id, { reason: 'password_reset' });
+  await audit.record({ action: ACTIONS.ADMIN_FORCE_PASSWORD_RESET, targetUser: user._id, metadata: { reason: req.body?.reason }, req });
+
+  res.status(200).json({ status: 'success', message: 'User must reset their password' });
+});
+
+// ✅ System-wide stats: reminders created per day, AI schedule source split, TTS failures
+const getStats = catchAsync(async (req, res) => {
+  const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 365);
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+  const [perDay, scheduleSources, ttsFailed, ttsFailedInPeriod, usersTotal, usersInactive] = await Promise.all([
+    Reminder.aggregate([
+      { $match: { createdAt: { $gte: since }, deletedAt: null } },
+      {
+        $group: {
+          _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
+          count: { $sum: 1 },
+          tasks: { $sum: { $cond: [{ $eq: ['$type', 'Task'] }, 1, 0] } },
+          meetings: { $sum: { $cond: [{ $eq: ['$type', 'Meeting'] }, 1, 0] } },
+          locations: { $sum: { $cond: [{ $eq: ['$type', 'Location'] }, 1, 0] } },
+        },
+      },
+      { $sort: { _id: 1 } },
+    ]),
+    Reminder.aggregate([
+      { $match: { createdAt: { $gte: since }, aiSuggested: true, deletedAt: null } },
+      { $group: { _id: { $ifNull: ['$aiScheduleSource', 'unknown'] }, count: { $sum: 1 } } },
+    ]),
+    Reminder.countDocuments({ 'tts.status': 'failed' }),
+    Reminder.countDocuments({ 'tts.status': 'failed', updatedAt: { $gte: since } }),
+    User.countDocuments({ active: { $in: [true, false] } }),
+    User.countDocuments({ active: false }),
+  ]);
+
+  const sourceSplit = {};
+  for (const s of scheduleSources) sourceSplit[s._id] = s.count;
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      since,
+      remindersPerDay: perDay.map(d => ({ date: d._id, count: d.count, tasks: d.tasks, meetings: d.meetings, locations: d.locations })),
+      aiScheduleSource: sourceSplit,
+      ttsFailures: { total: ttsFailed, inPeriod: ttsFailedInPeriod },
+      users: { total: usersTotal, inactive: usersInactive },
+    },
+  });
+});
+
+// ✅ Query the audit log across users
+const listAuditEvents = catchAsync(async (req, res) => {
+  const { user, actor, action, success, from, to, page, limit } = req.query || {};
+  const filter = {};
+  if (user) filter.targetUser = user;
+  if (actor) filter.actor = actor;
+  if (action) filter.action = action;
+  if (typeof success !== 'undefined') filter.success = success === 'true' || success === true;
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = new Date(from);
+    if (to) filter.createdAt.$lte = new Date(to);
+  }
+
+  const { items, total, page: pageNum, limit: limitNum } = await audit.queryEvents(filter, { page, limit });
+  res.status(200).json({ status: 'success', data: items, total, page: pageNum, limit: limitNum });
+});
+
+module.exports = {
+  listUsers,
+  getUser,
+  deactivateUser,
+  reactivateUser,
+  forcePasswordReset,
+  getStats,
+  listAuditEvents,
+};
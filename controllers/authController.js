@@ -1,16 +1,30 @@
 const User = require('../models/userModel');
-const { generateToken } = require('../utils/generateToken');
-const { sendEmail } = require('../utils/sendEmail');
-const crypto = require('crypto');
+const { createSession, rotateRefreshToken, revokeSession, revokeSessionByRefreshToken, revokeUserSessions } = require('../services/sessionService');
+const { sendTemplate, resolveLocale } = require('../services/email');
+const { createOtp, checkOtp } = require('../utils/otp');
+const { generateChallengeToken } = require('../utils/generateToken');
 const bcrypt = require('bcryptjs');
-const { OAuth2Client } = require('google-auth-library');
-
-// Initialize Google OAuth client
-const googleClient = new OAuth2Client(process.env.GOOGLE_CLIENT_ID);
+const jwt = require('jsonwebtoken');
+const audit = require('../services/auditService');
+const { ACTIONS } = audit;
+const loginProtection = require('../services/loginProtectionService');
+const { avatarUrls } = require('../services/avatarService');
+const { issueLinkToken, consumeLinkToken } = require('../services/linkTokenService');
+const { isValidTimeZone } = require('../utils/recurrence');
+const { ALERT_TYPES, MAX_ALERTS, MAX_MINUTES_BEFORE } = require('../utils/alerts');
+
+// Store a fresh email-verification OTP on the user and email it
+async function issueEmailVerification(user, req) {
+  const { otp, otpHash, expiresAt } = await createOtp(15 * 60 * 1000);
+  user.emailVerifyOtpHash = otpHash;
+  user.emailVerifyOtpExpiry = expiresAt;
+  await user.save();
+  await sendTemplate('verification', { user, vars: { otp, minutes: 15 } });
+  await audit.recordSecurityEvent(req, ACTIONS.OTP_SEND, { user, metadata: { purpose: 'email_verification' } });
+}
 
 exports.signup = async (req, res) => {
-  const { fullname, email, password } = req.body;
-  console.log("Incoming request body:", req.body);
+  const { fullname, email, password, locale } = req.body;
   try {
     // Basic input validation for clearer messages
     if (!fullname || !email || !password) {
@@ -25,9 +39,21 @@ exports.signup = async (req, res) => {
     }
 
     if (await User.findOne({ email })) return res.status(400).json({ message: 'Email already exists' });
-    const user = await User.create({ fullname, email, password });
-    const token = generateToken(user._id);
-    res.status(201).json({ user: { id: user._id, fullname: user.fullname, email: user.email }, token });
+    const user = await User.create({
+      fullname,
+      email,
+      password,
+      emailVerified: false,
+      locale: resolveLocale(locale || req.headers['accept-language'])
+    });
+    const { token, refreshToken } = await createSession(user._id, req);
+
+    // Kick off email verification; signup still succeeds if the email cannot be sent
+    try { await issueEmailVerification(user, req); } catch (e) {
+      console.warn('[auth] verification email failed on signup', e?.message);
+    }
+
+    res.status(201).json({ user: { id: user._id, fullname: user.fullname, email: user.email, emailVerified: false }, token, refreshToken });
   } catch (err) {
     console.error("Signup Error:", err);
 
@@ -55,7 +81,14 @@ exports.getProfile = async (req, res) => {
       id: user._id,
       fullname: user.fullname,
       email: user.email,
-      phone: user.phone || ''
+      emailVerified: user.emailVerified !== false,
+      phone: user.phone || '',
+      phoneVerified: !!user.phoneVerified,
+      locale: user.locale || 'en',
+      timezone: user.timezone || 'UTC',
+      alertDefaults: user.alertDefaults || {},
+      profilePicture: user.profilePicture,
+      avatar: avatarUrls(user)
     }});
   } catch (e) {
     return res.status(500).json({ message: 'Failed to load profile' });
@@ -68,12 +101,37 @@ exports.updateProfile = async (req, res) => {
     const user = req.user; // set by auth middleware
     if (!user) return res.status(401).json({ message: 'Not authenticated' });
 
-    const { fullname, phone, email } = req.body || {};
+    const { fullname, phone, email, locale, timezone, alertDefaults } = req.body || {};
+    let emailChanged = false;
 
     if (typeof fullname === 'string' && fullname.trim().length) {
       user.fullname = fullname.trim();
     }
-    if (typeof phone === 'string') user.phone = phone;
+    // A changed number has to be verified again (POST /phone/verify/send) before it can sign in
+    if (typeof phone === 'string' && phone !== user.phone) {
+      user.phone = phone;
+      user.phoneVerified = false;
+      user.phoneVerifiedAt = undefined;
+    }
+    if (typeof locale === 'string' && locale.trim().length) user.locale = resolveLocale(locale);
+    if (timezone !== undefined) {
+      if (!isValidTimeZone(timezone)) {
+        return res.status(400).json({ message: 'Please provide a valid IANA time zone' });
+      }
+      user.timezone = timezone;
+    }
+    // Default alert offsets per reminder type, e.g. { Meeting: [1440, 60, 10] }
+    if (alertDefaults !== undefined) {
+      const valid = alertDefaults && typeof alertDefaults === 'object' && Object.entries(alertDefaults).every(([type, offsets]) =>
+        ALERT_TYPES.includes(type) && Array.isArray(offsets) && offsets.length <= MAX_ALERTS &&
+        offsets.every(m => Number.isInteger(m) && m >= 0 && m <= MAX_MINUTES_BEFORE));
+      if (!valid) {
+        return res.status(400).json({ message: `alertDefaults must map Task/Meeting to up to ${MAX_ALERTS} offsets in minutes (0-${MAX_MINUTES_BEFORE})` });
+      }
+      for (const [type, offsets] of Object.entries(alertDefaults)) {
+        user.set(`alertDefaults.${type}`, [...new Set(offsets)].sort((a, b) => b - a));
+      }
+    }
     // Optional email update with validation and uniqueness check
     if (typeof email === 'string' && email.trim().length && email !== user.email) {
       const emailRegex = /^\S+@\S+\.\S+$/;
@@ -85,21 +143,66 @@ exports.updateProfile = async (req, res) => {
         return res.status(400).json({ message: 'Email already in use' });
       }
       user.email = email.toLowerCase();
+      // A changed address has to be verified again
+      user.emailVerified = false;
+      user.emailVerifiedAt = undefined;
+      emailChanged = true;
     }
     // gender/dateOfBirth/occupation removed
 
     await user.save();
+    if (emailChanged) {
+      try { await issueEmailVerification(user, req); } catch (e) {
+        console.warn('[auth] verification email failed on email change', e?.message);
+      }
+    }
     return res.status(200).json({ user: {
       id: user._id,
       fullname: user.fullname,
       email: user.email,
-      phone: user.phone || ''
+      emailVerified: user.emailVerified !== false,
+      phone: user.phone || '',
+      phoneVerified: !!user.phoneVerified,
+      locale: user.locale || 'en',
+      timezone: user.timezone || 'UTC',
+      alertDefaults: user.alertDefaults || {},
+      profilePicture: user.profilePicture,
+      avatar: avatarUrls(user)
     }});
   } catch (e) {
     return res.status(500).json({ message: 'Failed to update profile' });
   }
 };
 
+// 429 for a login refused by brute-force protection
+function loginBlocked(res, { reason, retryAfterMs, captchaRequired }) {
+  const retryAfter = Math.max(Math.ceil((retryAfterMs || 0) / 1000), 1);
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    status: 'error',
+    code: reason === 'locked' ? 'ACCOUNT_LOCKED' : 'TOO_MANY_ATTEMPTS',
+    message: reason === 'locked'
+      ? 'Too many failed attempts. Try again later or use the unlock link we emailed you.'
+      : 'Too many failed attempts. Please wait before trying again.',
+    retryAfter,
+    ...(captchaRequired && { captchaRequired: true })
+  });
+}
+
+// Count a failed password attempt and build the matching response
+async function loginFailed(req, res, { email, user, reason }) {
+  const { ip } = audit.requestContext(req);
+  const outcome = await loginProtection.recordFailure({ email, ip, user, req });
+  await audit.recordSecurityEvent(req, ACTIONS.LOGIN, {
+    user, success: false, metadata: user ? { reason } : { email, reason }
+  });
+  if (outcome.locked) return loginBlocked(res, { reason: 'locked', ...outcome });
+  return res.status(400).json({
+    message: 'Invalid email or password',
+    ...(outcome.captchaRequired && { captchaRequired: true })
+  });
+}
+
 exports.login = async (req, res) => {
   const { email, password } = req.body;
   
@@ -108,31 +211,64 @@ exports.login = async (req, res) => {
       return res.status(400).json({ message: 'Email and password are required' });
     }
 
+    // 0. Brute-force protection: refuse while the account or IP is delayed/locked
+    const gate = await loginProtection.checkLogin({ email, ip: audit.requestContext(req).ip });
+    if (gate.blocked) {
+      await audit.recordSecurityEvent(req, ACTIONS.LOGIN, { user: null, success: false, metadata: { email, reason: gate.reason } });
+      return loginBlocked(res, gate);
+    }
+
     // 1. Check if user exists
     const user = await User.findOne({ email }).select('+password');
     if (!user) {
-      return res.status(400).json({ message: 'Invalid email or password' });
+      return loginFailed(req, res, { email, reason: 'unknown_email' });
     }
 
     // 2. Check if passwis correct
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
-      return res.status(400).json({ message: 'Invalid email or password' });
+      return loginFailed(req, res, { email, user, reason: 'bad_password' });
+    }
+    await loginProtection.clearAccountFailures(email);
+
+    // 3. An admin may require a reset before the account can be used again
+    if (user.mustResetPassword) {
+      await audit.recordSecurityEvent(req, ACTIONS.LOGIN, { user, success: false, metadata: { reason: 'password_reset_required' } });
+      return res.status(403).json({
+        status: 'error',
+        code: 'PASSWORD_RESET_REQUIRED',
+        message: 'Please reset your password to continue.'
+      });
     }
 
-    // 3. Generate token (long-lived)
-    const token = generateToken(user._id);
+    // 4. With 2FA on, the password alone only earns a challenge for /2fa/verify
+    if (user.twoFactor?.enabled) {
+      await audit.recordSecurityEvent(req, ACTIONS.LOGIN, { user, metadata: { stage: 'password', twoFactorRequired: true } });
+      return res.status(200).json({
+        status: 'success',
+        twoFactorRequired: true,
+        challengeToken: generateChallengeToken(user._id)
+      });
+    }
+
+    // 5. Start a session: short-lived access token + rotating refresh token
+    const { token, refreshToken, session } = await createSession(user._id, req);
+    await audit.recordSecurityEvent(req, ACTIONS.LOGIN, { user, metadata: { sessionId: session._id } });
     
-    // 4. Remove password from output
+    // 6. Remove password from output
     user.password = undefined;
     
     res.status(200).json({
       status: 'success',
       token,
+      refreshToken,
       user: {
         id: user._id,
         fullname: user.fullname,
-        email: user.email
+        email: user.email,
+        emailVerified: user.emailVerified !== false,
+        // Set while a deletion is pending; the client can offer to cancel it
+        deletionScheduledFor: user.deletionScheduledFor || null
       }
     });
     
@@ -145,9 +281,56 @@ exports.login = async (req, res) => {
   }
 };
 
-exports.logout = (req, res) => {
-  // For JWT, logout is handled on client by deleting token.
-  res.json({ message: 'Logged out successfully' });
+// Exchange a refresh token for a new access/refresh pair (rotation)
+exports.refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+    if (!refreshToken) return res.status(400).json({ message: 'refreshToken is required' });
+
+    const result = await rotateRefreshToken(refreshToken, req);
+    if (result.error) {
+      return res.status(401).json({
+        status: 'error',
+        message: result.error === 'reused'
+          ? 'Session revoked. Please log in again.'
+          : 'Invalid or expired refresh token'
+      });
+    }
+
+    return res.status(200).json({ status: 'success', token: result.token, refreshToken: result.refreshToken });
+  } catch (err) {
+    console.error('Refresh error:', err);
+    return res.status(500).json({ status: 'error', message: 'Server error' });
+  }
+};
+
+// Revoke the session server-side. Prefers the refresh token so clients can log out
+// even after their access token expired; falls back to the access token's session.
+exports.logout = async (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+    // The whole refresh token must match: its session id alone is not a secret
+    if (refreshToken) {
+      const result = await revokeSessionByRefreshToken(refreshToken, 'logout');
+      if (result?.modifiedCount) return res.json({ message: 'Logged out successfully' });
+    }
+
+    let sessionId = null;
+    if (req.headers.authorization?.startsWith('Bearer ')) {
+      try {
+        const decoded = jwt.verify(req.headers.authorization.split(' ')[1], process.env.JWT_SECRET);
+        sessionId = decoded.sid || null;
+      } catch (e) {
+        // expired/invalid access token: nothing to revoke
+      }
+    }
+
+    if (sessionId) await revokeSession(sessionId, 'logout');
+    res.json({ message: 'Logged out successfully' });
+  } catch (err) {
+    console.error('Logout error:', err);
+    res.status(500).json({ status: 'error', message: 'Server error' });
+  }
 };
 
 // LEGACY link-based forgot-password (kept for compatibility if needed)
@@ -156,16 +339,9 @@ exports.forgotPasswordLegacy = async (req, res) => {
   try {
     const user = await User.findOne({ email });
     if (!user) return res.status(200).json({ status: 'success', message: 'OTP sent if email exists.' });
-    const token = crypto.randomBytes(32).toString('hex');
-    user.resetPasswordToken = token;
-    user.resetPasswordExpires = Date.now() + 3600000; // 1 hour
-    await user.save();
+    const token = await issueLinkToken(user, 'reset', 60 * 60 * 1000); // 1 hour
     const resetUrl = `${process.env.CLIENT_URL}/reset-password/${token}`;
-    await sendEmail(
-      user.email,
-      'Password Reset',
-      `<p>Click <a href="${resetUrl}">here</a> to reset your password. This link expires in 1 hour.</p>`
-    );
+    await sendTemplate('reset_link', { user, vars: { resetUrl, minutes: 60 } });
     res.json({ status: 'success', message: 'Password reset email sent' });
   } catch (err) {
     res.status(500).json({ message: 'Server error', error: err.message });
@@ -176,21 +352,120 @@ exports.resetPasswordLegacy = async (req, res) => {
   const { token } = req.params;
   const { password } = req.body;
   try {
-    const user = await User.findOne({
-      resetPasswordToken: token,
-      resetPasswordExpires: { $gt: Date.now() },
-    });
+    // Check the password before burning the single-use token
+    if (typeof password !== 'string' || password.length < 8) {
+      return res.status(400).json({ message: 'Password must be at least 8 characters long' });
+    }
+    const user = await consumeLinkToken('reset', token);
     if (!user) return res.status(400).json({ message: 'Invalid or expired token' });
     user.password = password;
-    user.resetPasswordToken = undefined;
-    user.resetPasswordExpires = undefined;
+    user.passwordSet = true;
+    user.mustResetPassword = false;
     await user.save();
+    await revokeUserSessions(user._id, { reason: 'password_reset' });
+    await loginProtection.clearAccountFailures(user.email);
+    await audit.recordSecurityEvent(req, ACTIONS.PASSWORD_RESET, { user, metadata: { method: 'link' } });
     res.json({ status: 'success', message: 'Password reset successful' });
   } catch (err) {
     res.status(500).json({ message: 'Server error', error: err.message });
   }
 };
 
+const MAGIC_LINK_TTL_MS = 15 * 60 * 1000;
+
+// Passwordless email sign-in, step 1: email a single-use sign-in link
+exports.requestMagicLink = async (req, res) => {
+  try {
+    const { email } = req.body || {};
+    if (!email) return res.status(400).json({ message: 'Email is required' });
+
+    // Always respond with generic message
+    const user = await User.findOne({ email: String(email).toLowerCase().trim() });
+    if (user) {
+      const token = await issueLinkToken(user, 'magic', MAGIC_LINK_TTL_MS);
+      const loginUrl = `${process.env.CLIENT_URL}/magic-login?token=${token}`;
+      try {
+        await sendTemplate('magic_link', { user, vars: { loginUrl, minutes: MAGIC_LINK_TTL_MS / 60000 } });
+      } catch (e) {
+        console.warn('[auth] magic link email failed', e?.message); // avoid leaking email existence
+      }
+      await audit.recordSecurityEvent(req, ACTIONS.OTP_SEND, { user, metadata: { purpose: 'magic_link' } });
+    }
+
+    return res.status(200).json({ status: 'success', message: 'Sign-in link sent if email exists.' });
+  } catch (err) {
+    return res.status(500).json({ status: 'error', message: 'Server error', error: err.message });
+  }
+};
+
+// Passwordless email sign-in, step 2: exchange the link token for a session
+exports.verifyMagicLink = async (req, res) => {
+  try {
+    const { token } = req.body || {};
+    if (!token) return res.status(400).json({ message: 'Token is required' });
+
+    const user = await consumeLinkToken('magic', token);
+    if (!user) return res.status(400).json({ message: 'Invalid or expired link' });
+
+    // Opening the link proves control of the address
+    if (user.emailVerified === false) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save();
+    }
+    await loginProtection.clearAccountFailures(user.email);
+
+    // Same gates as password login
+    if (user.mustResetPassword) {
+      await audit.recordSecurityEvent(req, ACTIONS.LOGIN_MAGIC_LINK, { user, success: false, metadata: { reason: 'password_reset_required' } });
+      return res.status(403).json({
+        status: 'error',
+        code: 'PASSWORD_RESET_REQUIRED',
+        message: 'Please reset your password to continue.'
+      });
+    }
+    if (user.twoFactor?.enabled) {
+      await audit.recordSecurityEvent(req, ACTIONS.LOGIN_MAGIC_LINK, { user, metadata: { stage: 'link', twoFactorRequired: true } });
+      return res.status(200).json({
+        status: 'success',
+        twoFactorRequired: true,
+        challengeToken: generateChallengeToken(user._id)
+      });
+    }
+
+    const { token: accessToken, refreshToken, session } = await createSession(user._id, req);
+    await audit.recordSecurityEvent(req, ACTIONS.LOGIN_MAGIC_LINK, { user, metadata: { sessionId: session._id } });
+
+    return res.status(200).json({
+      status: 'success',
+      token: accessToken,
+      refreshToken,
+      user: {
+        id: user._id,
+        fullname: user.fullname,
+        email: user.email,
+        emailVerified: true,
+        deletionScheduledFor: user.deletionScheduledFor || null
+      }
+    });
+  } catch (err) {
+    return res.status(500).json({ status: 'error', message: 'Server error', error: err.message });
+  }
+};
+
+// Unlock an account locked by failed logins, using the link from the lockout email
+exports.unlockAccount = async (req, res) => {
+  try {
+    const { token } = req.body || {};
+    if (!token) return res.status(400).json({ message: 'Token is required' });
+    const user = await loginProtection.unlockWithToken(token, req);
+    if (!user) return res.status(400).json({ message: 'Invalid or expired token' });
+    return res.status(200).json({ status: 'success', message: 'Account unlocked. You can log in again.' });
+  } catch (err) {
+    return res.status(500).json({ status: 'error', message: 'Server error', error: err.message });
+  }
+};
+
 // OTP-based Forgot Password: send OTP
 exports.forgotPassword = async (req, res) => {
   try {
@@ -204,17 +479,16 @@ exports.forgotPassword = async (req, res) => {
     }
 
     // Generate 6-digit numeric OTP
-    const otp = Math.floor(100000 + Math.random() * 900000).toString();
-    const otpHash = await bcrypt.hash(otp, 10);
+    const { otp, otpHash, expiresAt } = await createOtp();
 
     user.resetOtpHash = otpHash;
-    user.resetOtpExpiry = new Date(Date.now() + 5 * 60 * 1000);
+    user.resetOtpExpiry = expiresAt;
     user.resetOtpVerified = false;
     await user.save();
 
     // Send OTP via email
-    const html = `<p>Your Beela password reset OTP is: <b>${otp}</b></p><p>This code will expire in 5 minutes.</p>`;
-    try { await sendEmail(email, 'Your OTP Code', html); } catch (e) { /* avoid leaking email existence */ }
+    try { await sendTemplate('otp', { user, vars: { otp, minutes: 5 } }); } catch (e) { /* avoid leaking email existence */ }
+    await audit.recordSecurityEvent(req, ACTIONS.OTP_SEND, { user, metadata: { purpose: 'password_reset' } });
 
     return res.status(200).json({ status: 'success', message: 'OTP sent if email exists.' });
   } catch (err) {
@@ -228,14 +502,15 @@ exports.verifyOtp = async (req, res) => {
     const { email, otp } = req.body || {};
     if (!email || !otp) return res.status(400).json({ message: 'Email and OTP are required' });
     const user = await User.findOne({ email }).select('+resetOtpHash +resetOtpExpiry +resetOtpVerified');
-    if (!user || !user.resetOtpHash || !user.resetOtpExpiry) {
-      return res.status(400).json({ status: 'error', message: 'Invalid or expired OTP' });
-    }
-    if (user.resetOtpExpiry.getTime() < Date.now()) {
-      return res.status(400).json({ status: 'error', message: 'OTP expired' });
+    const check = await checkOtp(otp, user?.resetOtpHash, user?.resetOtpExpiry);
+    if (user) {
+      await audit.recordSecurityEvent(req, ACTIONS.OTP_VERIFY, {
+        user, success: check === 'ok', metadata: { purpose: 'password_reset', result: check }
+      });
     }
-    const ok = await bcrypt.compare(String(otp), user.resetOtpHash);
-    if (!ok) return res.status(400).json({ status: 'error', message: 'Invalid OTP' });
+    if (check === 'missing') return res.status(400).json({ status: 'error', message: 'Invalid or expired OTP' });
+    if (check === 'expired') return res.status(400).json({ status: 'error', message: 'OTP expired' });
+    if (check === 'invalid') return res.status(400).json({ status: 'error', message: 'Invalid OTP' });
     user.resetOtpVerified = true;
     await user.save();
     return res.status(200).json({ status: 'success', message: 'OTP verified successfully.' });
@@ -244,6 +519,50 @@ exports.verifyOtp = async (req, res) => {
   }
 };
 
+// Send (or resend) the email verification code to the logged-in user
+exports.sendEmailVerification = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user) return res.status(401).json({ message: 'Not authenticated' });
+    if (user.emailVerified !== false) {
+      return res.status(200).json({ status: 'success', message: 'Email already verified.' });
+    }
+    await issueEmailVerification(user, req);
+    return res.status(200).json({ status: 'success', message: 'Verification code sent.' });
+  } catch (err) {
+    return res.status(500).json({ status: 'error', message: 'Failed to send verification code', error: err.message });
+  }
+};
+
+// Confirm the email address with the emailed code
+exports.verifyEmail = async (req, res) => {
+  try {
+    const { otp } = req.body || {};
+    if (!otp) return res.status(400).json({ message: 'OTP is required' });
+    const user = await User.findById(req.user._id).select('+emailVerifyOtpHash +emailVerifyOtpExpiry');
+    if (!user) return res.status(401).json({ message: 'Not authenticated' });
+    if (user.emailVerified !== false) {
+      return res.status(200).json({ status: 'success', message: 'Email already verified.' });
+    }
+    const check = await checkOtp(otp, user.emailVerifyOtpHash, user.emailVerifyOtpExpiry);
+    await audit.recordSecurityEvent(req, ACTIONS.OTP_VERIFY, {
+      user, success: check === 'ok', metadata: { purpose: 'email_verification', result: check }
+    });
+    if (check === 'missing') return res.status(400).json({ status: 'error', message: 'Invalid or expired OTP' });
+    if (check === 'expired') return res.status(400).json({ status: 'error', message: 'OTP expired' });
+    if (check === 'invalid') return res.status(400).json({ status: 'error', message: 'Invalid OTP' });
+
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    user.emailVerifyOtpHash = undefined;
+    user.emailVerifyOtpExpiry = undefined;
+    await user.save();
+    return res.status(200).json({ status: 'success', message: 'Email verified successfully.' });
+  } catch (err) {
+    return res.status(500).json({ status: 'error', message: 'Server error', error: err.message });
+  }
+};
+
 // Reset password after OTP verification
 exports.resetPassword = async (req, res) => {
   try {
@@ -260,7 +579,12 @@ exports.resetPassword = async (req, res) => {
     user.resetOtpHash = undefined;
     user.resetOtpExpiry = undefined;
     user.resetOtpVerified = false;
+    user.mustResetPassword = false;
     await user.save();
+    // Sign out every device; whoever triggered the reset must log in again
+    await revokeUserSessions(user._id, { reason: 'password_reset' });
+    await loginProtection.clearAccountFailures(user.email);
+    await audit.recordSecurityEvent(req, ACTIONS.PASSWORD_RESET, { user, metadata: { method: 'otp' } });
     return res.status(200).json({ status: 'success', message: 'Password updated successfully.' });
   } catch (err) {
     return res.status(500).json({ status: 'error', message: 'Server error', error: err.message });
@@ -275,71 +599,73 @@ exports.changePassword = async (req, res) => {
     if (!currentPassword || !newPassword) return res.status(400).json({ message: 'currentPassword and newPassword are required' });
     const user = await User.findById(userId).select('+password');
     if (!user) return res.status(401).json({ message: 'Not authenticated' });
+    if (user.passwordSet === false) {
+      return res.status(400).json({ status: 'error', message: 'No password set yet. Use set password instead.' });
+    }
     const isMatch = await bcrypt.compare(String(currentPassword), user.password);
-    if (!isMatch) return res.status(400).json({ status: 'error', message: 'Current password incorrect.' });
+    if (!isMatch) {
+      await audit.recordSecurityEvent(req, ACTIONS.PASSWORD_CHANGE, { user, success: false, metadata: { reason: 'bad_password' } });
+      return res.status(400).json({ status: 'error', message: 'Current password incorrect.' });
+    }
     user.password = newPassword; // pre-save hook hashes and sets passwordChangedAt
     await user.save();
+    // Keep the current device signed in, revoke the others
+    await revokeUserSessions(user._id, { reason: 'password_changed', exceptSessionId: req.authSession?._id });
+    await audit.recordSecurityEvent(req, ACTIONS.PASSWORD_CHANGE, { user });
     return res.status(200).json({ status: 'success', message: 'Password updated successfully.' });
   } catch (err) {
     return res.status(500).json({ status: 'error', message: 'Server error', error: err.message });
   }
 };
 
-// Google authentication
-exports.googleAuth = async (req, res) => {
+// Let accounts created through a provider choose a password
+exports.setPassword = async (req, res) => {
   try {
-    const { accessToken } = req.body;
-    
-    if (!accessToken) {
-      return res.status(400).json({ message: 'Google access token is required' });
-    }
-
-    // Verify the Google ID token (sent from frontend)
-    const ticket = await googleClient.verifyIdToken({
-      idToken: accessToken,
-      audience: process.env.GOOGLE_WEB_CLIENT_ID || process.env.GOOGLE_CLIENT_ID,
-    });
-
-    const payload = ticket.getPayload();
-    const { email, name, picture } = payload;
-
-    if (!email) {
-      return res.status(400).json({ message: 'Could not get email from Google' });
+    const { newPassword } = req.body || {};
+    if (!newPassword) return res.status(400).json({ message: 'newPassword is required' });
+    const user = await User.findById(req.user._id).select('+password');
+    if (!user) return res.status(401).json({ message: 'Not authenticated' });
+    if (user.passwordSet !== false) {
+      return res.status(400).json({ status: 'error', message: 'Password already set. Use change password instead.' });
     }
-
-    // Check if user exists
-    let user = await User.findOne({ email });
-
-    if (!user) {
-      // Create new user if doesn't exist
-      user = await User.create({
-        email,
-        fullname: name,
-        password: crypto.randomBytes(16).toString('hex'), // Random password
-        profilePicture: picture
-      });
+    user.password = newPassword; // pre-save hook hashes and sets passwordChangedAt
+    user.passwordSet = true;
+    await user.save();
+    await audit.recordSecurityEvent(req, ACTIONS.PASSWORD_SET, { user });
+    return res.status(200).json({ status: 'success', message: 'Password set successfully.' });
+  } catch (err) {
+    if (err?.name === 'ValidationError') {
+      const messages = Object.values(err.errors).map(e => e.message);
+      return res.status(400).json({ message: messages[0] || 'Invalid input' });
     }
+    return res.status(500).json({ status: 'error', message: 'Server error', error: err.message });
+  }
+};
 
-    // Generate JWT token (long-lived)
-    const token = generateToken(user._id);
-
-    // Return user data and token
-    res.status(200).json({
+// Recent security events for the current user's account
+exports.listSecurityEvents = async (req, res) => {
+  try {
+    const { page, limit } = req.query || {};
+    const { items, total, page: pageNum, limit: limitNum } = await audit.queryEvents(
+      { targetUser: req.user._id },
+      { page, limit: limit || 20 }
+    );
+    return res.status(200).json({
       status: 'success',
-      token,
-      user: {
-        id: user._id,
-        fullname: user.fullname,
-        email: user.email,
-        profilePicture: user.profilePicture
-      }
-    });
-
-  } catch (error) {
-    console.error('Google auth error:', error);
-    res.status(500).json({ 
-      status: 'error',
-      message: 'Error authenticating with Google'
+      data: items.map(e => ({
+        id: e._id,
+        action: e.action,
+        success: e.success,
+        ip: e.ip,
+        userAgent: e.userAgent,
+        metadata: e.metadata,
+        createdAt: e.createdAt
+      })),
+      total,
+      page: pageNum,
+      limit: limitNum
     });
+  } catch (err) {
+    return res.status(500).json({ status: 'error', message: 'Failed to load security events', error: err.message });
   }
-};
\ No newline at end of file
+};
@@ -0,0 +1,41 @@
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/appError');
+const { saveAvatar, removeAvatar, openAvatar } = require('../services/avatarService');
+
+// ✅ Upload a new profile picture (multipart field "avatar")
+const uploadAvatar = catchAsync(async (req, res, next) => {
+  if (!req.file) return next(new AppError('No image uploaded (use the "avatar" field)', 400));
+
+  const urls = await saveAvatar(req.user, req.file.buffer);
+  res.status(200).json({ status: 'success', data: { profilePicture: req.user.profilePicture, avatar: urls } });
+});
+
+// ✅ Remove the uploaded profile picture
+const deleteAvatar = catchAsync(async (req, res, next) => {
+  const removed = await removeAvatar(req.user);
+  if (!removed) return next(new AppError('No profile picture uploaded', 404));
+
+  res.status(200).json({ status: 'success', message: 'Profile picture removed' });
+});
+
+// ✅ Serve an avatar variant. Public: the key itself is the secret.
+const serveAvatar = catchAsync(async (req, res, next) => {
+  const file = await openAvatar(req.params.key);
+  if (!file) return next(new AppError('Not found', 404));
+
+  res.set({
+    'Content-Type': file.contentType,
+    'Content-Length': String(file.size),
+    // Keys change on every upload, so variants never change in place
+    'Cache-Control': 'public, max-age=31536000, immutable',
+    'X-Content-Type-Options': 'nosniff',
+  });
+  file.stream.on('error', next);
+  file.stream.pipe(res);
+});
+
+module.exports = {
+  uploadAvatar,
+  deleteAvatar,
+  serveAvatar,
+};
@@ -5,6 +5,11 @@ const User = require('../models/userModel');
 const Reminder = require('../models/reminderModel');
 const catchAsync = require('../utils/catchAsync');
 const AppError = require('../utils/appError');
+const audit = require('../services/auditService');
+const { occurrenceTimelines } = require('../services/occurrenceService');
+const { effectiveAlerts } = require('../utils/alerts');
+const { checklistProgress } = require('../utils/checklist');
+const { labelFilter } = require('../services/labelService');
 const jwt = require('jsonwebtoken');
 
 // Initialize Google OAuth2 client
@@ -49,6 +54,7 @@ const handleCallback = catchAsync(async (req, res, next) => {
   let user;
   try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.purpose) throw new Error('Unexpected token purpose');
     user = await User.findById(decoded.id);
     if (!user) return res.status(400).send(`<p>User not found</p>`);
   } catch {
@@ -90,6 +96,7 @@ const handleCallback = catchAsync(async (req, res, next) => {
     },
     { upsert: true, new: true, setDefaultsOnInsert: true }
   );
+  await audit.recordSecurityEvent(req, audit.ACTIONS.CALENDAR_CONNECT, { user });
 
   return res.status(200).send(`<p>Google Calendar connected successfully. You can close this window.</p>`);
 });
@@ -145,25 +152,37 @@ const syncCalendar = catchAsync(async (req, res, next) => {
 // ✅ Get unified calendar items (events + tasks + reminders)
 const getCalendarItems = catchAsync(async (req, res) => {
   const { user } = req;
+  // Optional ?list=<id|none>&tag=<id>[,<id>...] narrows the tasks and meetings
+  const filter = { user: user._id, ...labelFilter({ list: req.query.list, tag: req.query.tag }) };
   
   // Parallel fetching for better performance
   const [calendar, reminders] = await Promise.all([
     Calendar.findOne({ user: user._id })
       .select('events lastSynced')
       .lean(), // Use lean() for faster queries
-    Reminder.find({ user: user._id })
-      .select('type title description icon startDate endDate location isCompleted aiSuggested isManualSchedule scheduleType scheduleTime scheduleDays createdAt')
+    Reminder.find(filter)
+      .select('type title description icon startDate endDate location isCompleted aiSuggested isManualSchedule scheduleType scheduleTime scheduleDays recurrence alerts notificationPreferenceMinutes checklist list tags createdAt')
       .sort({ startDate: -1 }) // Sort by most recent first
       .limit(500) // Limit to prevent excessive data transfer
       .lean() // Use lean() for faster queries
   ]);
 
+  // Recurring tasks report per-day status (last 7 days through the next 30) instead of one global flag
+  const day = 24 * 60 * 60 * 1000;
+  const timelines = await occurrenceTimelines(
+    reminders.filter(r => r.type === 'Task'),
+    { from: new Date(Date.now() - 7 * day), to: new Date(Date.now() + 30 * day), timezone: user.timezone || 'UTC' }
+  );
+
   // Filter and map in a single pass for better performance
   const tasks = [];
   const meetings = [];
   
   for (const r of reminders) {
     if (r.type === 'Task') {
+      const timeline = timelines.get(String(r._id));
+      // For recurring tasks, status is today's occurrence ('none' when it does not occur today)
+      const todayStatus = timeline?.today?.status;
       tasks.push({
         id: r._id,
         title: r.title,
@@ -172,13 +191,20 @@ const getCalendarItems = catchAsync(async (req, res) => {
         startTime: r.startDate,
         endTime: r.endDate,
         location: r.location?.name || '',
-        status: r.isCompleted ? 'completed' : 'pending',
-        isCompleted: r.isCompleted,
+        status: timeline ? (todayStatus || 'none') : (r.isCompleted ? 'completed' : 'pending'),
+        isCompleted: timeline ? todayStatus === 'completed' : r.isCompleted,
         aiSuggested: r.aiSuggested,
         isManualSchedule: r.isManualSchedule,
         scheduleType: r.scheduleType,
         scheduleTime: r.scheduleTime,
         scheduleDays: r.scheduleDays,
+        recurrence: r.recurrence,
+        occurrences: timeline?.occurrences,
+        alerts: effectiveAlerts(r, { recurring: !!timeline }),
+        checklist: r.checklist,
+        progress: checklistProgress(r),
+        list: r.list || null,
+        tags: r.tags || [],
         createdAt: r.createdAt
       });
     } else if (r.type === 'Meeting') {
@@ -191,6 +217,9 @@ const getCalendarItems = catchAsync(async (req, res) => {
         endTime: r.endDate,
         location: r.location?.name || '',
         aiSuggested: r.aiSuggested,
+        alerts: effectiveAlerts(r),
+        list: r.list || null,
+        tags: r.tags || [],
         createdAt: r.createdAt
       });
     }
@@ -228,9 +257,30 @@ const getCalendarEvents = catchAsync(async (req, res, next) => {
   res.status(200).json({ status: 'success', data: { events: calendar.events, lastSynced: calendar.lastSynced } });
 });
 
+// ✅ Disconnect Google Calendar: revoke the grant with Google (best effort) and drop stored data
+const disconnectCalendar = catchAsync(async (req, res, next) => {
+  const { user } = req;
+  const calendar = await Calendar.findOne({ user: user._id });
+  if (!calendar) return next(new AppError('No calendar connected', 404));
+
+  const grant = calendar.refreshToken || calendar.accessToken;
+  if (grant) {
+    try {
+      await oauth2Client.revokeToken(grant);
+    } catch (err) {
+      console.warn('Could not revoke Google token:', err.message);
+    }
+  }
+  await Calendar.deleteOne({ _id: calendar._id });
+  await audit.recordSecurityEvent(req, audit.ACTIONS.CALENDAR_DISCONNECT, { user });
+
+  res.status(200).json({ status: 'success', message: 'Google Calendar disconnected' });
+});
+
 module.exports = {
   getAuthUrl,
   handleCallback,
+  disconnectCalendar,
   syncCalendar,
   getCalendarEvents,
   getCalendarItems
@@ -0,0 +1,48 @@
+const { purgeDueAccounts } = require('../services/accountService');
+const { retryQueuedEmails } = require('../services/email');
+const { dispatchDueReminders } = require('../services/reminderDispatcher');
+const { purgeExpiredTrash } = require('../services/trashService');
+
+// Permanently delete accounts whose deletion grace period is over
+exports.purgeAccounts = async (req, res) => {
+  try {
+    const result = await purgeDueAccounts(new Date());
+    return res.json({ success: true, ...result });
+  } catch (e) {
+    console.error('[cron] purge-accounts failed', e);
+    return res.status(500).json({ success: false, message: e.message });
+  }
+};
+
+// Re-send queued emails whose retry backoff has elapsed
+exports.retryEmails = async (req, res) => {
+  try {
+    const result = await retryQueuedEmails({ now: new Date() });
+    return res.json({ success: true, ...result });
+  } catch (e) {
+    console.error('[cron] retry-emails failed', e);
+    return res.status(500).json({ success: false, message: e.message });
+  }
+};
+
+// Create notifications for reminders that came due
+exports.dispatchReminders = async (req, res) => {
+  try {
+    const result = await dispatchDueReminders({ now: new Date() });
+    return res.json({ success: true, ...result });
+  } catch (e) {
+    console.error('[cron] dispatch-reminders failed', e);
+    return res.status(500).json({ success: false, message: e.message });
+  }
+};
+
+// Permanently delete reminders that have been in the trash longer than the retention period
+exports.purgeTrash = async (req, res) => {
+  try {
+    const result = await purgeExpiredTrash(new Date());
+    return res.json({ success: true, ...result });
+  } catch (e) {
+    console.error('[cron] purge-trash failed', e);
+    return res.status(500).json({ success: false, message: e.message });
+  }
+};
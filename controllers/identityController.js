@@ -0,0 +1,219 @@
+const crypto = require('crypto');
+const User = require('../models/userModel');
+const { getProvider, verifyIdentity } = require('../services/identityProviders');
+const { createSession } = require('../services/sessionService');
+const { generateChallengeToken } = require('../utils/generateToken');
+const { importAvatarFromUrl } = require('../services/avatarService');
+const audit = require('../services/auditService');
+const { ACTIONS } = audit;
+
+// How long sign-in waits for the provider's profile picture
+const AVATAR_IMPORT_TIMEOUT_MS = 2000;
+
+function identityQuery(provider, subject) {
+  return { identities: { $elemMatch: { provider, subject } } };
+}
+
+// Sign-in lookups include deactivated accounts (the userModel find hook would hide them),
+// so they are refused instead of being mistaken for a new sign-up
+function findAnyUser(filter) {
+  return User.findOne({ ...filter, active: { $in: [true, false] } });
+}
+
+async function deactivated(req, res, user, provider) {
+  await audit.recordSecurityEvent(req, ACTIONS.LOGIN_PROVIDER, { user, success: false, metadata: { provider, reason: 'account_deactivated' } });
+  return res.status(403).json({
+    status: 'error',
+    code: 'ACCOUNT_DEACTIVATED',
+    message: 'This account has been deactivated.'
+  });
+}
+
+// Sign in (or sign up) with an external identity provider: POST /api/auth/:provider
+// Resolution order: linked identity -> existing account with the same email (auto-linked only
+// when the provider vouches for the email, the account's own email is verified and it has
+// no 2FA) -> new account.
+exports.providerSignIn = async (req, res) => {
+  try {
+    const providerName = req.params.provider;
+    if (!getProvider(providerName)) {
+      return res.status(404).json({ status: 'error', message: 'Unknown sign-in provider' });
+    }
+    // Google clients historically send the ID token as "accessToken"
+    const { idToken, accessToken } = req.body || {};
+    const rawToken = idToken || accessToken;
+    if (!rawToken) {
+      return res.status(400).json({ message: 'idToken is required' });
+    }
+
+    const profile = await verifyIdentity(providerName, rawToken);
+    if (!profile) {
+      await audit.recordSecurityEvent(req, ACTIONS.LOGIN_PROVIDER, { user: null, success: false, metadata: { provider: providerName, reason: 'invalid_token' } });
+      return res.status(401).json({ status: 'error', message: 'Invalid identity token' });
+    }
+    const { provider, subject, email, emailVerified, name, picture } = profile;
+
+    if (!email) {
+      return res.status(400).json({ message: 'Could not get email from identity provider' });
+    }
+
+    // 1. Already linked
+    let user = await findAnyUser(identityQuery(provider, subject));
+    if (user?.active === false) return deactivated(req, res, user, provider);
+
+    if (!user) {
+      const existing = await findAnyUser({ email });
+      if (existing?.active === false) return deactivated(req, res, existing, provider);
+      if (existing) {
+        // 2. Never hand an existing account to an unverified email, and do not let
+        // provider sign-in bypass the account's second factor. An account whose email was
+        // never verified may have been registered by someone else ahead of the real owner,
+        // so it is not linked either: its password would keep working next to the provider.
+        if (!emailVerified || existing.emailVerified === false || existing.twoFactor?.enabled) {
+          await audit.recordSecurityEvent(req, ACTIONS.LOGIN_PROVIDER, {
+            user: existing, success: false, metadata: { provider, reason: 'link_required' }
+          });
+          return res.status(409).json({
+            status: 'error',
+            code: 'ACCOUNT_LINK_REQUIRED',
+            message: 'An account with this email already exists. Log in with your password and link this sign-in method from your account settings.'
+          });
+        }
+        existing.identities.push({ provider, subject, email, linkedAt: new Date() });
+        await existing.save();
+        user = existing;
+      } else {
+        // 3. Create new user if doesn't exist
+        user = await User.create({
+          email,
+          fullname: name || email.split('@')[0],
+          password: crypto.randomBytes(16).toString('hex'), // Placeholder; user can set a real one later
+          passwordSet: false,
+          profilePicture: picture,
+          identities: [{ provider, subject, email, linkedAt: new Date() }],
+          emailVerified: !!emailVerified,
+          emailVerifiedAt: emailVerified ? new Date() : undefined
+        });
+      }
+    }
+
+    // Copy the provider's picture into our avatar store unless the user uploaded one.
+    // Awaited (serverless functions may freeze once the response is sent), but with a short
+    // download limit so a slow or failing picture host only costs sign-in a moment.
+    if (picture && !user.avatar?.id) {
+      try {
+        await importAvatarFromUrl(user, picture, { timeout: AVATAR_IMPORT_TIMEOUT_MS });
+      } catch (e) {
+        console.warn('[identity] could not import profile picture', e?.message);
+      }
+    }
+
+    // Same gates as password login, including for already-linked identities
+    if (user.mustResetPassword) {
+      await audit.recordSecurityEvent(req, ACTIONS.LOGIN_PROVIDER, { user, success: false, metadata: { provider, reason: 'password_reset_required' } });
+      return res.status(403).json({
+        status: 'error',
+        code: 'PASSWORD_RESET_REQUIRED',
+        message: 'Please reset your password to continue.'
+      });
+    }
+    if (user.twoFactor?.enabled) {
+      await audit.recordSecurityEvent(req, ACTIONS.LOGIN_PROVIDER, { user, metadata: { provider, stage: 'provider', twoFactorRequired: true } });
+      return res.status(200).json({
+        status: 'success',
+        twoFactorRequired: true,
+        challengeToken: generateChallengeToken(user._id)
+      });
+    }
+
+    // Start a session: short-lived access token + rotating refresh token
+    const { token, refreshToken, session } = await createSession(user._id, req);
+    await audit.recordSecurityEvent(req, ACTIONS.LOGIN_PROVIDER, { user, metadata: { provider, sessionId: session._id } });
+
+    res.status(200).json({
+      status: 'success',
+      token,
+      refreshToken,
+      user: {
+        id: user._id,
+        fullname: user.fullname,
+        email: user.email,
+        emailVerified: user.emailVerified !== false,
+        hasPassword: user.passwordSet !== false,
+        profilePicture: user.profilePicture
+      }
+    });
+  } catch (error) {
+    console.error('Provider auth error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error authenticating with identity provider'
+    });
+  }
+};
+
+// List sign-in methods linked to the current user
+exports.listIdentities = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user) return res.status(401).json({ message: 'Not authenticated' });
+    return res.status(200).json({
+      status: 'success',
+      hasPassword: user.passwordSet !== false,
+      identities: (user.identities || []).map(i => ({ provider: i.provider, email: i.email, linkedAt: i.linkedAt }))
+    });
+  } catch (err) {
+    return res.status(500).json({ status: 'error', message: 'Server error', error: err.message });
+  }
+};
+
+// Link an external identity to the logged-in user
+exports.linkIdentity = async (req, res) => {
+  try {
+    const providerName = req.params.provider;
+    if (!getProvider(providerName)) {
+      return res.status(404).json({ status: 'error', message: 'Unknown sign-in provider' });
+    }
+    const { idToken, accessToken } = req.body || {};
+    if (!idToken && !accessToken) return res.status(400).json({ message: 'idToken is required' });
+    const profile = await verifyIdentity(providerName, idToken || accessToken);
+    if (!profile) return res.status(401).json({ status: 'error', message: 'Invalid identity token' });
+
+    const owner = await User.findOne(identityQuery(profile.provider, profile.subject));
+    if (owner && String(owner._id) !== String(req.user._id)) {
+      return res.status(409).json({ status: 'error', message: 'This account is already linked to another user' });
+    }
+    const user = await User.findById(req.user._id);
+    if (!user) return res.status(401).json({ message: 'Not authenticated' });
+    if (!owner) {
+      // One identity per provider per user
+      user.identities = (user.identities || []).filter(i => i.provider !== profile.provider);
+      user.identities.push({ provider: profile.provider, subject: profile.subject, email: profile.email, linkedAt: new Date() });
+      await user.save();
+    }
+    return res.status(200).json({ status: 'success', message: 'Sign-in method linked.' });
+  } catch (err) {
+    return res.status(500).json({ status: 'error', message: 'Server error', error: err.message });
+  }
+};
+
+// Unlink a provider; refused when it is the account's last way to sign in
+exports.unlinkIdentity = async (req, res) => {
+  try {
+    const { provider } = req.params;
+    const user = await User.findById(req.user._id);
+    if (!user) return res.status(401).json({ message: 'Not authenticated' });
+    const remaining = (user.identities || []).filter(i => i.provider !== provider);
+    if (remaining.length === (user.identities || []).length) {
+      return res.status(404).json({ status: 'error', message: 'Provider not linked' });
+    }
+    if (!remaining.length && user.passwordSet === false) {
+      return res.status(400).json({ status: 'error', message: 'Set a password before unlinking your last sign-in method' });
+    }
+    user.identities = remaining;
+    await user.save();
+    return res.status(200).json({ status: 'success', message: 'Sign-in method unlinked.' });
+  } catch (err) {
+    return res.status(500).json({ status: 'error', message: 'Server error', error: err.message });
+  }
+};
@@ -0,0 +1,102 @@
+const Label = require('../models/labelModel');
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/appError');
+const { listLabels, mergeLabels, deleteLabel } = require('../services/labelService');
+
+const EDITABLE_FIELDS = ['name', 'color', 'icon', 'sortOrder'];
+
+async function findOwnLabel(req, id) {
+  const label = await Label.findOne({ _id: id, user: req.user._id });
+  if (!label) throw new AppError('Label not found', 404);
+  return label;
+}
+
+function duplicateNameError(kind) {
+  return new AppError(`A ${kind} with this name already exists`, 409);
+}
+
+// ✅ List the user's lists and tags (?kind=list|tag) with reminder counts
+const getLabels = catchAsync(async (req, res) => {
+  const labels = await listLabels(req.user._id, { kind: req.query.kind });
+  res.status(200).json({ status: 'success', data: { labels } });
+});
+
+// ✅ Create a list or tag
+const createLabel = catchAsync(async (req, res, next) => {
+  const { kind } = req.body;
+  const fields = Object.fromEntries(EDITABLE_FIELDS.filter(f => req.body[f] !== undefined).map(f => [f, req.body[f]]));
+  if (fields.sortOrder === undefined) {
+    // New labels go last
+    const last = await Label.findOne({ user: req.user._id, kind }).sort({ sortOrder: -1 }).select('sortOrder').lean();
+    fields.sortOrder = last ? last.sortOrder + 1 : 0;
+  }
+  try {
+    const label = await Label.create({ ...fields, kind, user: req.user._id });
+    res.status(201).json({ status: 'success', data: { label } });
+  } catch (err) {
+    if (err?.code === 11000) return next(duplicateNameError(kind));
+    throw err;
+  }
+});
+
+// ✅ Rename / recolor a label. Reminders reference labels by id, so nothing else changes.
+const updateLabel = catchAsync(async (req, res, next) => {
+  const label = await findOwnLabel(req, req.params.id);
+  for (const field of EDITABLE_FIELDS) {
+    if (req.body[field] !== undefined) label[field] = req.body[field];
+  }
+  try {
+    await label.save();
+  } catch (err) {
+    if (err?.code === 11000) return next(duplicateNameError(label.kind));
+    throw err;
+  }
+  res.status(200).json({ status: 'success', data: { label } });
+});
+
+// ✅ Set the display order of all lists or all tags: { kind, order: [ids] }
+const reorderLabels = catchAsync(async (req, res, next) => {
+  const { kind, order } = req.body;
+  const labels = await Label.find({ user: req.user._id, kind }).select('_id').lean();
+  const current = new Set(labels.map(l => String(l._id)));
+  if (order.length !== current.size || new Set(order).size !== order.length || !order.every(id => current.has(String(id)))) {
+    return next(new AppError(`order must list every ${kind} exactly once`, 400));
+  }
+  await Label.bulkWrite(order.map((id, index) => ({
+    updateOne: { filter: { _id: id, user: req.user._id }, update: { $set: { sortOrder: index } } },
+  })));
+  res.status(200).json({ status: 'success', data: { labels: await listLabels(req.user._id, { kind }) } });
+});
+
+// ✅ Merge a label into another of the same kind: { into: id }
+const mergeLabel = catchAsync(async (req, res) => {
+  const source = await findOwnLabel(req, req.params.id);
+  const target = await findOwnLabel(req, req.body.into);
+  const remindersUpdated = await mergeLabels(source, target);
+  res.status(200).json({ status: 'success', data: { label: target, remindersUpdated } });
+});
+
+// ✅ Delete a label. Reminders lose the tag, or leave the list (?moveTo=<listId> to reassign them).
+const removeLabel = catchAsync(async (req, res, next) => {
+  const label = await findOwnLabel(req, req.params.id);
+  let moveTo = null;
+  if (req.query.moveTo) {
+    if (label.kind !== 'list') return next(new AppError('moveTo only applies to lists', 400));
+    const target = await findOwnLabel(req, req.query.moveTo);
+    if (target.kind !== 'list' || String(target._id) === String(label._id)) {
+      return next(new AppError('moveTo must be another list', 400));
+    }
+    moveTo = target._id;
+  }
+  const remindersUpdated = await deleteLabel(label, { moveTo });
+  res.status(200).json({ status: 'success', data: { remindersUpdated } });
+});
+
+module.exports = {
+  getLabels,
+  createLabel,
+  updateLabel,
+  reorderLabels,
+  mergeLabel,
+  removeLabel,
+};
@@ -0,0 +1,173 @@
+const User = require('../models/userModel');
+const { createSession } = require('../services/sessionService');
+const { sendSms } = require('../services/sms');
+const { createOtp, checkOtp } = require('../utils/otp');
+const { normalizePhone, maskPhone } = require('../utils/phone');
+const { generateChallengeToken } = require('../utils/generateToken');
+const audit = require('../services/auditService');
+const { ACTIONS } = audit;
+
+const VERIFY_TTL_MS = 10 * 60 * 1000;
+const LOGIN_TTL_MS = 5 * 60 * 1000;
+const MAX_LOGIN_ATTEMPTS = 5;
+
+// Send a verification code to a new phone number for the logged-in user
+exports.sendPhoneVerification = async (req, res) => {
+  try {
+    const phone = normalizePhone(req.body?.phone);
+    if (!phone) return res.status(400).json({ message: 'Enter the phone number in international format, e.g. +15551234567' });
+
+    const user = await User.findById(req.user._id);
+    if (!user) return res.status(401).json({ message: 'Not authenticated' });
+    if (user.phoneVerified && user.phone === phone) {
+      return res.status(200).json({ status: 'success', message: 'Phone number already verified.' });
+    }
+    const taken = await User.findOne({ phone, phoneVerified: true, _id: { $ne: user._id } });
+    if (taken) return res.status(400).json({ message: 'Phone number already in use' });
+
+    const { otp, otpHash, expiresAt } = await createOtp(VERIFY_TTL_MS);
+    user.pendingPhone = phone;
+    user.phoneOtpHash = otpHash;
+    user.phoneOtpExpiry = expiresAt;
+    await user.save();
+
+    await sendSms(phone, 'phone_verification', { code: otp, minutes: VERIFY_TTL_MS / 60000 }, user.locale);
+    await audit.recordSecurityEvent(req, ACTIONS.OTP_SEND, { user, metadata: { purpose: 'phone_verification', channel: 'sms' } });
+
+    return res.status(200).json({ status: 'success', message: `Code sent to ${maskPhone(phone)}.` });
+  } catch (err) {
+    return res.status(500).json({ status: 'error', message: 'Server error', error: err.message });
+  }
+};
+
+// Confirm the pending phone number with the SMS code
+exports.verifyPhone = async (req, res) => {
+  try {
+    const { otp } = req.body || {};
+    if (!otp) return res.status(400).json({ message: 'OTP is required' });
+    const user = await User.findById(req.user._id).select('+pendingPhone +phoneOtpHash +phoneOtpExpiry');
+    if (!user) return res.status(401).json({ message: 'Not authenticated' });
+
+    const check = await checkOtp(otp, user.phoneOtpHash, user.phoneOtpExpiry);
+    await audit.recordSecurityEvent(req, ACTIONS.OTP_VERIFY, {
+      user, success: check === 'ok', metadata: { purpose: 'phone_verification', result: check }
+    });
+    if (check === 'missing' || !user.pendingPhone) return res.status(400).json({ status: 'error', message: 'Invalid or expired OTP' });
+    if (check === 'expired') return res.status(400).json({ status: 'error', message: 'OTP expired' });
+    if (check === 'invalid') return res.status(400).json({ status: 'error', message: 'Invalid OTP' });
+
+    user.phone = user.pendingPhone;
+    user.phoneVerified = true;
+    user.phoneVerifiedAt = new Date();
+    user.pendingPhone = undefined;
+    user.phoneOtpHash = undefined;
+    user.phoneOtpExpiry = undefined;
+    try {
+      await user.save();
+    } catch (err) {
+      // Another account verified the same number in the meantime
+      if (err?.code === 11000) return res.status(400).json({ message: 'Phone number already in use' });
+      throw err;
+    }
+    await audit.recordSecurityEvent(req, ACTIONS.PHONE_VERIFY, { user });
+
+    return res.status(200).json({ status: 'success', message: 'Phone number verified.', phone: user.phone });
+  } catch (err) {
+    return res.status(500).json({ status: 'error', message: 'Server error', error: err.message });
+  }
+};
+
+// Passwordless sign-in, step 1: text a code to a verified phone number
+exports.sendLoginCode = async (req, res) => {
+  try {
+    const phone = normalizePhone(req.body?.phone);
+    if (!phone) return res.status(400).json({ message: 'Enter the phone number in international format, e.g. +15551234567' });
+
+    // Always respond with generic message
+    const user = await User.findOne({ phone, phoneVerified: true });
+    if (user) {
+      const { otp, otpHash, expiresAt } = await createOtp(LOGIN_TTL_MS);
+      user.loginOtpHash = otpHash;
+      user.loginOtpExpiry = expiresAt;
+      user.loginOtpAttempts = 0;
+      await user.save();
+      try {
+        await sendSms(phone, 'phone_login', { code: otp, minutes: LOGIN_TTL_MS / 60000 }, user.locale);
+      } catch (e) {
+        console.warn('[phone] login code SMS failed', e?.message); // avoid leaking phone existence
+      }
+      await audit.recordSecurityEvent(req, ACTIONS.OTP_SEND, { user, metadata: { purpose: 'phone_login', channel: 'sms' } });
+    }
+
+    return res.status(200).json({ status: 'success', message: 'Code sent if the number is registered.' });
+  } catch (err) {
+    return res.status(500).json({ status: 'error', message: 'Server error', error: err.message });
+  }
+};
+
+// Passwordless sign-in, step 2: exchange the code for a session
+exports.verifyLoginCode = async (req, res) => {
+  try {
+    const phone = normalizePhone(req.body?.phone);
+    const { otp } = req.body || {};
+    if (!phone || !otp) return res.status(400).json({ message: 'Phone and OTP are required' });
+
+    const user = await User.findOne({ phone, phoneVerified: true }).select('+loginOtpHash +loginOtpExpiry +loginOtpAttempts');
+    const check = await checkOtp(otp, user?.loginOtpHash, user?.loginOtpExpiry);
+    if (user) {
+      await audit.recordSecurityEvent(req, ACTIONS.LOGIN_PHONE, {
+        user, success: check === 'ok', metadata: { result: check }
+      });
+    }
+    if (check === 'invalid') {
+      // Burn the code after a few wrong guesses; the user has to request a new one
+      user.loginOtpAttempts = (user.loginOtpAttempts || 0) + 1;
+      if (user.loginOtpAttempts >= MAX_LOGIN_ATTEMPTS) {
+        user.loginOtpHash = undefined;
+        user.loginOtpExpiry = undefined;
+      }
+      await user.save();
+      return res.status(400).json({ status: 'error', message: 'Invalid OTP' });
+    }
+    if (check === 'missing') return res.status(400).json({ status: 'error', message: 'Invalid or expired OTP' });
+    if (check === 'expired') return res.status(400).json({ status: 'error', message: 'OTP expired' });
+
+    user.loginOtpHash = undefined;
+    user.loginOtpExpiry = undefined;
+    user.loginOtpAttempts = 0;
+    await user.save();
+
+    // Same gates as password login
+    if (user.mustResetPassword) {
+      return res.status(403).json({
+        status: 'error',
+        code: 'PASSWORD_RESET_REQUIRED',
+        message: 'Please reset your password to continue.'
+      });
+    }
+    if (user.twoFactor?.enabled) {
+      return res.status(200).json({
+        status: 'success',
+        twoFactorRequired: true,
+        challengeToken: generateChallengeToken(user._id)
+      });
+    }
+
+    const { token, refreshToken } = await createSession(user._id, req);
+    return res.status(200).json({
+      status: 'success',
+      token,
+      refreshToken,
+      user: {
+        id: user._id,
+        fullname: user.fullname,
+        email: user.email,
+        emailVerified: user.emailVerified !== false,
+        phone: user.phone,
+        deletionScheduledFor: user.deletionScheduledFor || null
+      }
+    });
+  } catch (err) {
+    return res.status(500).json({ status: 'error', message: 'Server error', error: err.message });
+  }
+};
@@ -1,5 +1,40 @@
+const mongoose = require("mongoose");
 const Reminder = require("../models/reminderModel");
-const { ensureReminderTTS } = require("../utils/ttsService");
+const {
+  buildNotificationText,
+  ensureReminderTTS,
+} = require("../utils/ttsService");
+const { isFeatureRestricted } = require("../utils/verificationPolicy");
+const {
+  isValidTimeZone,
+  normalizeRRule,
+  recurrenceStartError,
+  recurrenceFromLegacy,
+} = require("../utils/recurrence");
+const {
+  effectiveRecurrence,
+  listOccurrences,
+  recordOccurrence,
+  occurrenceHistory,
+} = require("../services/occurrenceService");
+const { parseSnooze } = require("../utils/snooze");
+const { assertOwnLabels, labelFilter } = require("../services/labelService");
+const {
+  purgeAt,
+  trashReminder,
+  restoreReminder,
+  deleteTrashed,
+} = require("../services/trashService");
+const { normalizeAlerts, closestMinutesBefore } = require("../utils/alerts");
+const {
+  MAX_CHECKLIST_ITEMS,
+  checklistProgress,
+  normalizeChecklist,
+  syncParentCompletion,
+} = require("../utils/checklist");
+
+// Snoozes kept per reminder
+const SNOOZE_HISTORY_LIMIT = 20;
 
 // Lazily require to avoid circular dependencies on startup
 let ai;
@@ -29,6 +64,10 @@ function pickReminderFields(src = {}) {
     "scheduleTime",
     "scheduleDays",
     "notificationPreferenceMinutes",
+    "recurrence",
+    "alerts",
+    "list",
+    "tags",
   ];
   for (const k of allowed) {
     if (Object.prototype.hasOwnProperty.call(src, k)) out[k] = src[k];
@@ -36,64 +75,145 @@ function pickReminderFields(src = {}) {
   return out;
 }
 
+function userTimeZone(user) {
+  return isValidTimeZone(user?.timezone) ? user.timezone : "UTC";
+}
+
+function httpError(message, statusCode) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+// Helper: turn client recurrence input into the stored shape. null clears the rule.
+// DTSTART comes from recurrence.start, else the request's startDate, else `fallbackStart`
+// (what the reminder already has), and only then the current time.
+// Throws with statusCode 400 for an invalid rule.
+function resolveRecurrence(input, { startDate, fallbackStart, timezone }) {
+  if (input === null) return null;
+  const { rrule, error } = normalizeRRule(input?.rrule);
+  if (error) throw httpError(error, 400);
+  const requested = input.start || startDate;
+  if (requested) {
+    const startError = recurrenceStartError(requested);
+    if (startError) throw httpError(startError, 400);
+  }
+  const start = new Date(requested || fallbackStart || Date.now());
+  return {
+    rrule,
+    start,
+    tz: isValidTimeZone(input.tz) ? input.tz : timezone,
+    exdates: (input.exdates || []).map((d) => new Date(d)),
+    derived: false,
+  };
+}
+
+// Build the document for a new reminder from (validated) request data.
+// Throws with statusCode 400 for input the validators cannot catch.
+function buildCreatePayload(body, user) {
+  const {
+    type,
+    title,
+    description,
+    icon,
+    startDate,
+    location,
+    day,
+    status,
+    isManualSchedule,
+    scheduleType,
+    scheduleTime,
+    scheduleDays,
+    notificationPreferenceMinutes,
+    list,
+    tags,
+  } = body;
+
+  const payload = {
+    user: user._id || user.id || user,
+    type,
+    title,
+    description,
+    icon,
+    startDate: startDate ? new Date(startDate) : undefined,
+    location,
+    day,
+    status,
+    isManualSchedule: !!isManualSchedule,
+    scheduleType,
+    scheduleTime,
+    scheduleDays,
+    list: list || undefined,
+    tags: Array.isArray(tags) && tags.length ? [...new Set(tags.map(String))] : undefined,
+    notificationPreferenceMinutes:
+      typeof notificationPreferenceMinutes === "number"
+        ? notificationPreferenceMinutes
+        : 10,
+  };
+
+  // Recurrence: explicit RRULE, or converted from the legacy routine fields
+  const timezone = userTimeZone(user);
+  payload.recurrence = body.recurrence
+    ? resolveRecurrence(body.recurrence, { startDate: payload.startDate, timezone })
+    : recurrenceFromLegacy({ ...payload, createdAt: new Date() }, timezone) || undefined;
+
+  // Enforce Meeting flow: manual-only with required startDate and per-item minutes
+  if (payload.type === "Meeting") {
+    if (!payload.startDate) {
+      throw httpError("Start date is required for meetings", 400);
+    }
+    payload.isManualSchedule = true;
+    payload.scheduleType = "one-day";
+    const pref =
+      typeof notificationPreferenceMinutes === "number"
+        ? notificationPreferenceMinutes
+        : scheduleTime?.minutesBeforeStart ?? 10;
+    payload.scheduleTime = { minutesBeforeStart: pref };
+    payload.scheduleDays = [];
+    payload.notificationPreferenceMinutes = pref;
+  }
+
+  // Alerts: as sent, else migrated from the single notificationPreferenceMinutes,
+  // else the user's defaults for this type (routines notify at their fixed time)
+  if (Array.isArray(body.alerts) && body.alerts.length) {
+    payload.alerts = normalizeAlerts(body.alerts);
+  } else if (
+    typeof notificationPreferenceMinutes === "number" ||
+    (payload.type === "Meeting" && scheduleTime?.minutesBeforeStart !== undefined)
+  ) {
+    payload.alerts = [{ minutesBefore: payload.notificationPreferenceMinutes }];
+  } else if (!payload.recurrence && user.alertDefaults?.[payload.type]?.length) {
+    payload.alerts = normalizeAlerts(
+      user.alertDefaults[payload.type].map((m) => ({ minutesBefore: m }))
+    );
+  }
+  if (payload.alerts) {
+    payload.notificationPreferenceMinutes =
+      closestMinutesBefore(payload.alerts) ?? payload.notificationPreferenceMinutes;
+  }
+
+  // Subtasks only exist on tasks
+  if (Array.isArray(body.checklist) && body.checklist.length) {
+    if (payload.type !== "Task") {
+      throw httpError("Only tasks can have a checklist", 400);
+    }
+    payload.checklist = normalizeChecklist(body.checklist);
+    syncParentCompletion(payload, { recurring: !!payload.recurrence });
+  }
+
+  return payload;
+}
+
 // Create a new reminder
 exports.createReminder = async (req, res) => {
   try {
     const user = req.user; // from auth middleware
-    const {
-      type,
-      title,
-      description,
-      icon,
-      startDate,
-      location,
-      day,
-      status,
-      isManualSchedule,
-      scheduleType,
-      scheduleTime,
-      scheduleDays,
-      notificationPreferenceMinutes,
-    } = req.body || {};
-
-    const payload = {
-      user: user._id || user.id || user,
-      type,
-      title,
-      description,
-      icon,
-      startDate: startDate ? new Date(startDate) : undefined,
-      location,
-      day,
-      status,
-      isManualSchedule: !!isManualSchedule,
-      scheduleType,
-      scheduleTime,
-      scheduleDays,
-      notificationPreferenceMinutes:
-        typeof notificationPreferenceMinutes === "number"
-          ? notificationPreferenceMinutes
-          : 10,
-    };
+    // Unverified accounts may be barred from AI/TTS (see utils/verificationPolicy)
+    const aiAllowed = !isFeatureRestricted(user, "ai");
+    const ttsAllowed = !isFeatureRestricted(user, "tts");
 
-    // Enforce Meeting flow: manual-only with required startDate and per-item minutes
-    if (payload.type === "Meeting") {
-      if (!payload.startDate) {
-        return res.status(400).json({
-          success: false,
-          message: "Start date is required for meetings",
-        });
-      }
-      payload.isManualSchedule = true;
-      payload.scheduleType = "one-day";
-      const pref =
-        typeof notificationPreferenceMinutes === "number"
-          ? notificationPreferenceMinutes
-          : scheduleTime?.minutesBeforeStart ?? 10;
-      payload.scheduleTime = { minutesBeforeStart: pref };
-      payload.scheduleDays = [];
-      payload.notificationPreferenceMinutes = pref;
-    }
+    await assertOwnLabels(user._id, req.body || {});
+    const payload = buildCreatePayload(req.body || {}, user);
 
     // Persist
     const created = await Reminder.create(payload);
@@ -105,10 +225,11 @@ exports.createReminder = async (req, res) => {
     // If Meeting or manual one-day Task, synchronously generate aiNotificationLine so clients can use it immediately
     try {
       if (
-        populatedReminder.type === "Meeting" ||
+        aiAllowed &&
+        (populatedReminder.type === "Meeting" ||
         (populatedReminder.type === "Task" &&
           populatedReminder.isManualSchedule &&
-          populatedReminder.scheduleType === "one-day")
+          populatedReminder.scheduleType === "one-day"))
       ) {
         if (ai?.generateNotificationLineWithGemini) {
           const line = await ai.generateNotificationLineWithGemini({
@@ -127,7 +248,7 @@ exports.createReminder = async (req, res) => {
 
     // Fire-and-forget TTS generation only when we already have a startDate
     try {
-      if (populatedReminder.startDate) {
+      if (ttsAllowed && populatedReminder.startDate) {
         await ensureReminderTTS(populatedReminder._id, { user });
       }
     } catch (e) {
@@ -135,7 +256,9 @@ exports.createReminder = async (req, res) => {
     }
 
     const useSync = process.env.USE_SYNC_AI === "1";
-    if (useSync && ai?.processBackgroundAI) {
+    if (!aiAllowed) {
+      res.status(201).json({ success: true, data: populatedReminder });
+    } else if (useSync && ai?.processBackgroundAI) {
       console.log(
         "[ai] USE_SYNC_AI enabled: processing AI synchronously on create"
       );
@@ -177,6 +300,9 @@ exports.createReminder = async (req, res) => {
     }
   } catch (error) {
     console.error("createReminder error", error);
+    if (error.statusCode === 400) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
     res.status(500).json({
       success: false,
       message: error.message || "Failed to create reminder",
@@ -193,11 +319,13 @@ exports.getReminders = async (req, res) => {
       completed,
       startDate: startDateQ,
       endDate: endDateQ,
+      list,
+      tag,
       page = 1,
       limit = 50,
     } = req.query || {};
 
-    const q = { user: userId };
+    const q = { user: userId, ...labelFilter({ list, tag }) };
     if (type) q.type = type;
     if (typeof completed !== "undefined")
       q.isCompleted = completed === "true" || completed === true;
@@ -227,6 +355,9 @@ exports.getReminders = async (req, res) => {
     });
   } catch (error) {
     console.error("getReminders error", error);
+    if (error.statusCode === 400) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
     res.status(500).json({
       success: false,
       message: error.message || "Failed to fetch reminders",
@@ -234,6 +365,41 @@ exports.getReminders = async (req, res) => {
   }
 };
 
+// Concrete occurrences (recurring reminders expanded) in a date range; defaults to the next 7 days
+exports.getOccurrences = async (req, res) => {
+  try {
+    const userId = req.user._id || req.user.id || req.user;
+    const { from: fromQ, to: toQ, type, limit } = req.query || {};
+    const from = fromQ ? new Date(fromQ) : new Date();
+    const to = toQ ? new Date(toQ) : new Date(from.getTime() + 7 * 24 * 60 * 60 * 1000);
+    if (to < from) {
+      return res
+        .status(400)
+        .json({ success: false, message: "to must be after from" });
+    }
+    if (to - from > 366 * 24 * 60 * 60 * 1000) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Range cannot exceed 366 days" });
+    }
+
+    const items = await listOccurrences(userId, {
+      from,
+      to,
+      type,
+      timezone: userTimeZone(req.user),
+      limit: parseInt(limit, 10) || undefined,
+    });
+    res.json({ success: true, data: items, from, to });
+  } catch (error) {
+    console.error("getOccurrences error", error);
+    res.status(500).json({
+      success: false,
+      message: error.message || "Failed to expand occurrences",
+    });
+  }
+};
+
 // Get a single reminder by ID
 exports.getReminder = async (req, res) => {
   try {
@@ -255,31 +421,107 @@ exports.getReminder = async (req, res) => {
   }
 };
 
+// What a recurrence update without its own start is anchored to: the reminder's current
+// recurrence start or start date. Only loaded when the update needs it.
+async function currentRecurrenceAnchor(filter, body, session) {
+  const input = body.recurrence;
+  if (!input || input.start || body.startDate) return undefined;
+  const current = await Reminder.findOne(filter)
+    .select("recurrence.start startDate")
+    .session(session || null)
+    .lean();
+  return current?.recurrence?.start || current?.startDate || undefined;
+}
+
+// Turn (validated) request data into { $set, $unset } parts for a reminder update.
+// `fallbackStart` anchors a new recurrence that has no start (see currentRecurrenceAnchor).
+function buildUpdate(body, timezone, { fallbackStart } = {}) {
+  const updates = pickReminderFields(body);
+
+  if (updates.scheduleTime?.minutesBeforeStart !== undefined) {
+    const val = Number(updates.scheduleTime.minutesBeforeStart);
+    updates.scheduleTime.minutesBeforeStart =
+      !isNaN(val) && val >= 0 ? val : 10; // default to 10 if invalid
+  }
+  // Coerce startDate when provided
+  if (Object.prototype.hasOwnProperty.call(updates, "startDate")) {
+    updates.startDate = updates.startDate
+      ? new Date(updates.startDate)
+      : null;
+  }
+
+  // Alerts replace the single notificationPreferenceMinutes; an older client
+  // sending only that value replaces the alerts with it
+  if (Array.isArray(updates.alerts)) {
+    updates.alerts = normalizeAlerts(updates.alerts);
+    const closest = closestMinutesBefore(updates.alerts);
+    if (closest !== undefined) updates.notificationPreferenceMinutes = closest;
+  } else if (typeof updates.notificationPreferenceMinutes === "number") {
+    updates.alerts = [{ minutesBefore: updates.notificationPreferenceMinutes }];
+  }
+
+  const unset = {};
+  if (Object.prototype.hasOwnProperty.call(updates, "list") && !updates.list) {
+    delete updates.list;
+    unset.list = 1;
+  }
+  if (Array.isArray(updates.tags)) {
+    updates.tags = [...new Set(updates.tags.map(String))];
+  }
+  // A rescheduled reminder drops any pending snooze
+  if (Object.prototype.hasOwnProperty.call(updates, "startDate")) {
+    unset.snoozedUntil = 1;
+  }
+  if (Object.prototype.hasOwnProperty.call(updates, "recurrence")) {
+    updates.recurrence = resolveRecurrence(updates.recurrence, {
+      startDate: updates.startDate,
+      fallbackStart,
+      timezone,
+    });
+    if (updates.recurrence === null) {
+      delete updates.recurrence;
+      unset.recurrence = 1;
+    }
+  }
+
+  return { updates, unset };
+}
+
+// Keep a recurrence derived from the legacy routine fields in sync with them
+// after an update that did not set the recurrence explicitly
+async function syncDerivedRecurrence(reminder, body, timezone) {
+  if (
+    !Object.prototype.hasOwnProperty.call(body, "recurrence") &&
+    (!reminder.recurrence || reminder.recurrence.derived)
+  ) {
+    const derived = recurrenceFromLegacy(reminder, timezone);
+    const before = reminder.recurrence
+      ? `${reminder.recurrence.rrule}|${reminder.recurrence.start?.getTime()}|${reminder.recurrence.tz}`
+      : null;
+    const after = derived
+      ? `${derived.rrule}|${derived.start.getTime()}|${derived.tz}`
+      : null;
+    if (before !== after) {
+      reminder.recurrence = derived || undefined;
+      await reminder.save();
+    }
+  }
+}
+
 // Update a reminder
 exports.updateReminder = async (req, res) => {
-  console.log("abhucloig");
   try {
     const userId = req.user._id || req.user.id || req.user;
     const { id } = req.params;
-    const updates = pickReminderFields(req.body || {});
-
-    if (updates.scheduleTime?.minutesBeforeStart !== undefined) {
-      console.log("avsdbfdj")
-      const val = Number(updates.scheduleTime.minutesBeforeStart);
-      updates.scheduleTime.minutesBeforeStart =
-        !isNaN(val) && val >= 0 ? val : 10; // default to 10 if invalid
-    }
-    // Coerce startDate when provided
-    if (Object.prototype.hasOwnProperty.call(updates, "startDate")) {
-      updates.startDate = updates.startDate
-        ? new Date(updates.startDate)
-        : null;
-    }
+    const timezone = userTimeZone(req.user);
+    await assertOwnLabels(userId, req.body || {});
+    const fallbackStart = await currentRecurrenceAnchor({ _id: id, user: userId }, req.body || {});
+    const { updates, unset } = buildUpdate(req.body || {}, timezone, { fallbackStart });
 
     // Apply update, ensuring ownership
     const updated = await Reminder.findOneAndUpdate(
       { _id: id, user: userId },
-      { $set: updates },
+      { $set: updates, ...(Object.keys(unset).length && { $unset: unset }) },
       { new: true }
     ).populate("user", "fullname email");
 
@@ -289,9 +531,14 @@ exports.updateReminder = async (req, res) => {
         .json({ success: false, message: "Reminder not found" });
     }
 
+    await syncDerivedRecurrence(updated, req.body || {}, timezone);
+
+    const aiAllowed = !isFeatureRestricted(req.user, "ai");
+    const ttsAllowed = !isFeatureRestricted(req.user, "tts");
+
     // Fire-and-forget TTS generation only when we have a startDate
     try {
-      if (updated.startDate) {
+      if (ttsAllowed && updated.startDate) {
         await ensureReminderTTS(updated._id, { user: updated.user });
       }
     } catch (e) {
@@ -299,7 +546,9 @@ exports.updateReminder = async (req, res) => {
     }
 
     const useSync = process.env.USE_SYNC_AI === "1";
-    if (useSync && ai?.processBackgroundAI) {
+    if (!aiAllowed) {
+      res.status(200).json({ success: true, data: updated });
+    } else if (useSync && ai?.processBackgroundAI) {
       console.log(
         "[ai] USE_SYNC_AI enabled: processing AI synchronously on update"
       );
@@ -342,6 +591,9 @@ exports.updateReminder = async (req, res) => {
     }
   } catch (error) {
     console.error("updateReminder error", error);
+    if (error.statusCode === 400) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
     res.status(500).json({
       success: false,
       message: error.message || "Failed to update reminder",
@@ -349,17 +601,529 @@ exports.updateReminder = async (req, res) => {
   }
 };
 
-// Delete a reminder
+// Record the outcome of one occurrence of a recurring reminder
+function occurrenceHandler(status) {
+  return async (req, res) => {
+    try {
+      const userId = req.user._id || req.user.id || req.user;
+      const { id } = req.params;
+      const reminder = await Reminder.findOne({ _id: id, user: userId })
+        .select("-tts.audio")
+        .lean();
+      if (!reminder)
+        return res
+          .status(404)
+          .json({ success: false, message: "Reminder not found" });
+
+      const entry = await recordOccurrence(reminder, req.body.occursAt, status, {
+        timezone: userTimeZone(req.user),
+      });
+      res.json({
+        success: true,
+        data: {
+          reminderId: reminder._id,
+          date: entry.date,
+          occursAt: entry.occursAt,
+          status: entry.status,
+          recordedAt: entry.recordedAt,
+        },
+      });
+    } catch (error) {
+      console.error(`${status} occurrence error`, error);
+      if (error.statusCode) {
+        return res
+          .status(error.statusCode)
+          .json({ success: false, message: error.message });
+      }
+      res.status(500).json({
+        success: false,
+        message: error.message || "Failed to record occurrence",
+      });
+    }
+  };
+}
+
+exports.completeOccurrence = occurrenceHandler("completed");
+exports.skipOccurrence = occurrenceHandler("skipped");
+
+// Completion history of a recurring reminder (defaults to the last 30 days)
+exports.getOccurrenceHistory = async (req, res) => {
+  try {
+    const userId = req.user._id || req.user.id || req.user;
+    const { id } = req.params;
+    const { from, to, limit } = req.query || {};
+    const reminder = await Reminder.findOne({ _id: id, user: userId })
+      .select("-tts.audio")
+      .lean();
+    if (!reminder)
+      return res
+        .status(404)
+        .json({ success: false, message: "Reminder not found" });
+
+    const history = await occurrenceHistory(reminder, {
+      from: from ? new Date(from) : undefined,
+      to: to ? new Date(to) : undefined,
+      timezone: userTimeZone(req.user),
+      limit: parseInt(limit, 10) || undefined,
+    });
+    res.json({ success: true, data: history });
+  } catch (error) {
+    console.error("getOccurrenceHistory error", error);
+    if (error.statusCode) {
+      return res
+        .status(error.statusCode)
+        .json({ success: false, message: error.message });
+    }
+    res.status(500).json({
+      success: false,
+      message: error.message || "Failed to load occurrence history",
+    });
+  }
+};
+
+// Run one batch operation. Throws with statusCode for client errors.
+// Returns { id, data, followUp } where followUp marks reminders needing AI/TTS work.
+async function runBatchOperation(operation, { user, timezone, session }) {
+  const userId = user._id || user.id || user;
+  const data = operation.data || {};
+  switch (operation.op) {
+    case "create": {
+      await assertOwnLabels(userId, data);
+      const [created] = await Reminder.create([buildCreatePayload(data, user)], {
+        session,
+      });
+      return { id: created._id, data: created, followUp: true };
+    }
+    case "update": {
+      await assertOwnLabels(userId, data);
+      const fallbackStart = await currentRecurrenceAnchor(
+        { _id: operation.id, user: userId },
+        data,
+        session
+      );
+      const { updates, unset } = buildUpdate(data, timezone, { fallbackStart });
+      const updated = await Reminder.findOneAndUpdate(
+        { _id: operation.id, user: userId },
+        { $set: updates, ...(Object.keys(unset).length && { $unset: unset }) },
+        { new: true, session }
+      ).select("-tts.audio");
+      if (!updated) throw httpError("Reminder not found", 404);
+      await syncDerivedRecurrence(updated, data, timezone);
+      return { id: updated._id, data: updated, followUp: true };
+    }
+    case "delete": {
+      // Moves the reminder to the trash, like DELETE /:id
+      const trashed = await trashReminder({ _id: operation.id, user: userId }, { session });
+      if (!trashed) throw httpError("Reminder not found", 404);
+      return {
+        id: trashed._id,
+        data: { deletedAt: trashed.deletedAt, purgeAt: purgeAt(trashed.deletedAt) },
+      };
+    }
+    case "complete": {
+      // With occursAt: one occurrence of a recurring reminder; otherwise the whole reminder
+      if (operation.occursAt) {
+        const reminder = await Reminder.findOne({ _id: operation.id, user: userId })
+          .select("-tts.audio")
+          .session(session)
+          .lean();
+        if (!reminder) throw httpError("Reminder not found", 404);
+        const entry = await recordOccurrence(reminder, operation.occursAt, "completed", {
+          timezone,
+          session,
+        });
+        return {
+          id: reminder._id,
+          data: { date: entry.date, occursAt: entry.occursAt, status: entry.status },
+        };
+      }
+      const completed = await Reminder.findOneAndUpdate(
+        { _id: operation.id, user: userId },
+        { $set: { isCompleted: true } },
+        { new: true, session }
+      ).select("-tts.audio");
+      if (!completed) throw httpError("Reminder not found", 404);
+      return { id: completed._id, data: completed };
+    }
+    default:
+      throw httpError(`Unknown operation: ${operation.op}`, 400);
+  }
+}
+
+// Background AI scheduling + TTS once per reminder touched by a batch,
+// instead of once per operation
+function runBatchFollowUp(ids, user) {
+  const aiAllowed = !isFeatureRestricted(user, "ai");
+  const ttsAllowed = !isFeatureRestricted(user, "tts");
+  if (!ids.length || (!aiAllowed && !ttsAllowed)) return;
+  setImmediate(async () => {
+    for (const id of ids) {
+      try {
+        if (aiAllowed && ai?.processBackgroundAI) {
+          // Also refreshes TTS for scheduled reminders
+          await ai.processBackgroundAI(id, { user });
+        } else if (ttsAllowed) {
+          const reminder = await Reminder.findById(id).select("startDate");
+          if (reminder?.startDate) await ensureReminderTTS(id, { user });
+        }
+      } catch (err) {
+        console.warn("[batch] follow-up failed", String(id), err?.message);
+      }
+    }
+  });
+}
+
+// Apply several operations in one request. Each operation reports its own result;
+// with atomic=true they run in one transaction and nothing is applied unless all succeed.
+exports.batchReminders = async (req, res) => {
+  const user = req.user;
+  const timezone = userTimeZone(user);
+  const { operations } = req.body;
+  const atomic = req.body.atomic === true || req.body.atomic === "true";
+  const invalid = req.batchErrors || [];
+
+  const results = operations.map((operation, index) => ({
+    index,
+    op: operation.op,
+    id: operation.id,
+    ...(invalid[index] && {
+      success: false,
+      status: 422,
+      message: "Validation failed",
+      errors: invalid[index],
+    }),
+  }));
+  if (atomic && invalid.some(Boolean)) {
+    return res.status(422).json({
+      success: false,
+      message: "Validation failed; no operations were applied",
+      results,
+    });
+  }
+
+  let followUp = new Set();
+  const runAll = async (session) => {
+    followUp = new Set();
+    for (const [index, operation] of operations.entries()) {
+      if (invalid[index]) continue;
+      try {
+        const out = await runBatchOperation(operation, { user, timezone, session });
+        Object.assign(results[index], {
+          success: true,
+          status: operation.op === "create" ? 201 : 200,
+          id: out.id,
+          data: out.data,
+        });
+        if (out.followUp) followUp.add(String(out.id));
+        if (operation.op === "delete") followUp.delete(String(out.id));
+      } catch (error) {
+        // In a transaction the first failure aborts everything
+        if (session) {
+          error.batchIndex = index;
+          throw error;
+        }
+        if (!error.statusCode) console.error("batch operation error", error);
+        Object.assign(results[index], {
+          success: false,
+          status: error.statusCode || 500,
+          message: error.message || "Operation failed",
+        });
+      }
+    }
+  };
+
+  try {
+    if (atomic) {
+      const session = await mongoose.startSession();
+      try {
+        await session.withTransaction(() => runAll(session));
+      } finally {
+        await session.endSession();
+      }
+    } else {
+      await runAll(null);
+    }
+  } catch (error) {
+    if (error.batchIndex === undefined) {
+      console.error("batchReminders error", error);
+      return res.status(500).json({
+        success: false,
+        message: error.message || "Failed to apply batch",
+      });
+    }
+    const status = error.statusCode || 500;
+    const rolledBack = results.map(({ op, id }, index) => ({
+      index,
+      op,
+      id,
+      success: false,
+      ...(index === error.batchIndex
+        ? { status, message: error.message }
+        : { status: 424, message: "Rolled back" }),
+    }));
+    return res.status(status).json({
+      success: false,
+      message: `Operation ${error.batchIndex} failed; no operations were applied`,
+      results: rolledBack,
+    });
+  }
+
+  const succeeded = results.filter((r) => r.success).length;
+  res.json({
+    success: true,
+    atomic,
+    summary: { succeeded, failed: results.length - succeeded },
+    results,
+  });
+  runBatchFollowUp([...followUp], user);
+};
+
+// Shared flow for checklist endpoints: load the task, apply `mutate`, keep the
+// parent's completion in line with its items and save
+function checklistHandler(mutate, { created = false } = {}) {
+  return async (req, res) => {
+    try {
+      const userId = req.user._id || req.user.id || req.user;
+      const { id } = req.params;
+      const reminder = await Reminder.findOne({ _id: id, user: userId }).select(
+        "-tts.audio"
+      );
+      if (!reminder)
+        return res
+          .status(404)
+          .json({ success: false, message: "Reminder not found" });
+      if (reminder.type !== "Task") {
+        return res.status(400).json({
+          success: false,
+          message: "Only tasks can have a checklist",
+        });
+      }
+
+      if (!reminder.checklist) reminder.checklist = [];
+      const item = mutate(reminder, req);
+      const recurring = !!effectiveRecurrence(reminder, userTimeZone(req.user));
+      syncParentCompletion(reminder, { recurring });
+      await reminder.save();
+
+      // Progress is part of the spoken text, so refresh the audio in the background
+      if (reminder.startDate && !isFeatureRestricted(req.user, "tts")) {
+        setImmediate(() =>
+          ensureReminderTTS(reminder._id, { user: req.user }).catch((e) =>
+            console.warn("[tts] generation failed on checklist update", e?.message)
+          )
+        );
+      }
+
+      res.status(created ? 201 : 200).json({
+        success: true,
+        data: {
+          item: item || undefined,
+          checklist: reminder.checklist,
+          progress: checklistProgress(reminder),
+          isCompleted: reminder.isCompleted,
+        },
+      });
+    } catch (error) {
+      console.error("checklist error", error);
+      if (error.statusCode) {
+        return res
+          .status(error.statusCode)
+          .json({ success: false, message: error.message });
+      }
+      res.status(500).json({
+        success: false,
+        message: error.message || "Failed to update checklist",
+      });
+    }
+  };
+}
+
+function findChecklistItem(reminder, itemId) {
+  const item = reminder.checklist.id(itemId);
+  if (!item) throw httpError("Checklist item not found", 404);
+  return item;
+}
+
+function setItemCompleted(item, isCompleted) {
+  item.isCompleted = isCompleted;
+  item.completedAt = isCompleted ? new Date() : undefined;
+}
+
+// Add a checklist item (appended unless `position` is given)
+exports.addChecklistItem = checklistHandler((reminder, req) => {
+  if (reminder.checklist.length >= MAX_CHECKLIST_ITEMS) {
+    throw httpError(
+      `A checklist can have at most ${MAX_CHECKLIST_ITEMS} items`,
+      400
+    );
+  }
+  const [item] = normalizeChecklist([req.body]);
+  const position = Number.isInteger(req.body.position)
+    ? Math.min(req.body.position, reminder.checklist.length)
+    : reminder.checklist.length;
+  reminder.checklist.splice(position, 0, item);
+  return reminder.checklist[position];
+}, { created: true });
+
+// Edit a checklist item's title, due time or completion
+exports.updateChecklistItem = checklistHandler((reminder, req) => {
+  const item = findChecklistItem(reminder, req.params.itemId);
+  const { title, dueAt, isCompleted } = req.body || {};
+  if (title !== undefined) item.title = title;
+  if (dueAt !== undefined) item.dueAt = dueAt ? new Date(dueAt) : undefined;
+  if (isCompleted !== undefined) setItemCompleted(item, !!isCompleted);
+  return item;
+});
+
+// Flip a checklist item's completion
+exports.toggleChecklistItem = checklistHandler((reminder, req) => {
+  const item = findChecklistItem(reminder, req.params.itemId);
+  setItemCompleted(item, !item.isCompleted);
+  return item;
+});
+
+exports.removeChecklistItem = checklistHandler((reminder, req) => {
+  findChecklistItem(reminder, req.params.itemId).deleteOne();
+  return null;
+});
+
+// Reorder: `order` lists every item id in the new order
+exports.reorderChecklist = checklistHandler((reminder, req) => {
+  const order = (req.body.order || []).map(String);
+  const current = reminder.checklist.map((item) => String(item._id));
+  if (
+    order.length !== current.length ||
+    new Set(order).size !== order.length ||
+    !order.every((itemId) => current.includes(itemId))
+  ) {
+    throw httpError("order must list every checklist item exactly once", 400);
+  }
+  const byId = new Map(reminder.checklist.map((item) => [String(item._id), item]));
+  reminder.checklist = order.map((itemId) => byId.get(itemId).toObject());
+  return null;
+});
+
+// Snooze the next notification ("10 min", "1 hour", "tomorrow morning", ...).
+// startDate is left alone; the notification fires at snoozedUntil instead.
+exports.snoozeReminder = async (req, res) => {
+  try {
+    const userId = req.user._id || req.user.id || req.user;
+    const { id } = req.params;
+    const { duration, occursAt } = req.body || {};
+    const reminder = await Reminder.findOne({ _id: id, user: userId }).select(
+      "type"
+    );
+    if (!reminder)
+      return res
+        .status(404)
+        .json({ success: false, message: "Reminder not found" });
+    if (reminder.type === "Location") {
+      return res.status(400).json({
+        success: false,
+        message: "Location reminders cannot be snoozed",
+      });
+    }
+
+    const { until, error } = parseSnooze(duration, {
+      timezone: userTimeZone(req.user),
+    });
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const entry = {
+      snoozedAt: new Date(),
+      until,
+      duration: String(duration),
+      occursAt: occursAt ? new Date(occursAt) : undefined,
+    };
+    const updated = await Reminder.findOneAndUpdate(
+      { _id: id, user: userId },
+      {
+        $set: { snoozedUntil: until },
+        $push: {
+          snoozeHistory: { $each: [entry], $slice: -SNOOZE_HISTORY_LIMIT },
+        },
+      },
+      { new: true }
+    )
+      .select("-tts.audio")
+      .populate("user", "fullname");
+    if (!updated)
+      return res
+        .status(404)
+        .json({ success: false, message: "Reminder not found" });
+
+    // A snoozed meeting announces how long until it starts; TTS is regenerated
+    // only when that changes the wording (ensureReminderTTS compares text hashes)
+    const startsAt = entry.occursAt || updated.startDate;
+    const fixedMinutes =
+      updated.type === "Meeting" && startsAt
+        ? Math.round((startsAt - until) / 60000)
+        : null;
+    const notificationText = buildNotificationText(
+      updated,
+      updated.user,
+      fixedMinutes
+    );
+
+    let tts = updated.tts;
+    if (!isFeatureRestricted(req.user, "tts")) {
+      try {
+        const ensured = await ensureReminderTTS(updated._id, {
+          user: updated.user,
+          fixedMinutes,
+        });
+        tts = ensured?.tts || tts;
+      } catch (e) {
+        console.warn("[tts] generation failed on snooze", e?.message);
+      }
+    }
+
+    res.json({
+      success: true,
+      data: {
+        reminderId: updated._id,
+        snoozedUntil: updated.snoozedUntil,
+        startDate: updated.startDate,
+        notificationText,
+        snoozeHistory: updated.snoozeHistory,
+        tts: tts
+          ? {
+              status: tts.status,
+              textHash: tts.textHash,
+              generatedAt: tts.generatedAt,
+            }
+          : null,
+      },
+    });
+  } catch (error) {
+    console.error("snoozeReminder error", error);
+    res.status(500).json({
+      success: false,
+      message: error.message || "Failed to snooze reminder",
+    });
+  }
+};
+
+// Delete a reminder: it moves to the trash and is purged after the retention period
 exports.deleteReminder = async (req, res) => {
   try {
     const userId = req.user._id || req.user.id || req.user;
     const { id } = req.params;
-    const removed = await Reminder.findOneAndDelete({ _id: id, user: userId });
-    if (!removed)
+    const trashed = await trashReminder({ _id: id, user: userId });
+    if (!trashed)
       return res
         .status(404)
         .json({ success: false, message: "Reminder not found" });
-    res.json({ success: true });
+    res.json({
+      success: true,
+      data: {
+        id: trashed._id,
+        deletedAt: trashed.deletedAt,
+        purgeAt: purgeAt(trashed.deletedAt),
+      },
+    });
   } catch (error) {
     console.error("deleteReminder error", error);
     res.status(500).json({
@@ -369,6 +1133,97 @@ exports.deleteReminder = async (req, res) => {
   }
 };
 
+// List reminders in the trash, most recently deleted first
+exports.getTrash = async (req, res) => {
+  try {
+    const userId = req.user._id || req.user.id || req.user;
+    const { page = 1, limit = 50 } = req.query || {};
+    const q = { user: userId, deletedAt: { $ne: null } };
+
+    const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 100);
+
+    const [items, total] = await Promise.all([
+      Reminder.find(q)
+        .select("-tts.audio")
+        .sort({ deletedAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      Reminder.countDocuments(q),
+    ]);
+
+    res.json({
+      success: true,
+      data: items.map((r) => ({ ...r, purgeAt: purgeAt(r.deletedAt) })),
+      total,
+      page: pageNum,
+      limit: limitNum,
+    });
+  } catch (error) {
+    console.error("getTrash error", error);
+    res.status(500).json({
+      success: false,
+      message: error.message || "Failed to fetch trash",
+    });
+  }
+};
+
+// Restore a reminder from the trash
+exports.restoreTrashedReminder = async (req, res) => {
+  try {
+    const userId = req.user._id || req.user.id || req.user;
+    const { id } = req.params;
+    const restored = await restoreReminder({ _id: id, user: userId });
+    if (!restored)
+      return res
+        .status(404)
+        .json({ success: false, message: "Reminder not found in trash" });
+    res.json({ success: true, data: restored });
+  } catch (error) {
+    console.error("restoreTrashedReminder error", error);
+    res.status(500).json({
+      success: false,
+      message: error.message || "Failed to restore reminder",
+    });
+  }
+};
+
+// Permanently delete a reminder from the trash
+exports.deleteTrashedReminder = async (req, res) => {
+  try {
+    const userId = req.user._id || req.user.id || req.user;
+    const { id } = req.params;
+    const deleted = await deleteTrashed({ _id: id, user: userId });
+    if (!deleted)
+      return res
+        .status(404)
+        .json({ success: false, message: "Reminder not found in trash" });
+    res.json({ success: true });
+  } catch (error) {
+    console.error("deleteTrashedReminder error", error);
+    res.status(500).json({
+      success: false,
+      message: error.message || "Failed to delete reminder",
+    });
+  }
+};
+
+// Permanently delete everything in the trash
+exports.emptyTrash = async (req, res) => {
+  try {
+    const userId = req.user._id || req.user.id || req.user;
+    const deleted = await deleteTrashed({ user: userId });
+    res.json({ success: true, data: { deleted } });
+  } catch (error) {
+    console.error("emptyTrash error", error);
+    res.status(500).json({
+      success: false,
+      message: error.message || "Failed to empty trash",
+    });
+  }
+};
+
 // Stream saved TTS audio
 exports.getReminderTTS = async (req, res) => {
   try {
@@ -0,0 +1,41 @@
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/appError');
+const { SEARCH_TYPES, search: runSearch } = require('../services/searchService');
+
+// Access token scope needed to see each kind of result
+const TYPE_SCOPES = {
+  reminder: 'reminders:read',
+  notification: 'notifications:read',
+  message: 'assistant:chat',
+};
+
+// ✅ Search reminders, notifications and chat messages:
+// ?q=&types=reminder,notification,message&reminderType=&from=&to=&limit=
+const search = catchAsync(async (req, res, next) => {
+  const { q, types, reminderType, from, to, limit } = req.query;
+  const requested = types
+    ? [...new Set(String(types).split(',').map(t => t.trim()).filter(Boolean))]
+    : SEARCH_TYPES;
+
+  // Personal access tokens only search what their scopes can read. Types asked for
+  // explicitly must all be allowed; the default set is narrowed silently.
+  const scopes = req.accessToken?.scopes;
+  const allowed = scopes ? requested.filter(t => scopes.includes(TYPE_SCOPES[t])) : requested;
+  const missing = requested.filter(t => !allowed.includes(t)).map(t => TYPE_SCOPES[t]);
+  if (!allowed.length || (types && missing.length)) {
+    return next(new AppError(`This access token needs the ${missing.join(', ')} scope`, 403));
+  }
+
+  const results = await runSearch(req.user._id, q, {
+    types: allowed,
+    reminderType,
+    from: from ? new Date(from) : undefined,
+    to: to ? new Date(to) : undefined,
+    limit: limit ? parseInt(limit, 10) : undefined,
+  });
+  res.status(200).json({ status: 'success', data: { results } });
+});
+
+module.exports = {
+  search,
+};
@@ -0,0 +1,42 @@
+const { listUserSessions, revokeSession, revokeUserSessions } = require('../services/sessionService');
+
+// List the current user's active sessions (devices)
+exports.listSessions = async (req, res) => {
+  try {
+    const sessions = await listUserSessions(req.user._id);
+    const currentId = req.authSession?._id;
+    return res.status(200).json({
+      status: 'success',
+      sessions: sessions.map(s => s.toPublic(currentId))
+    });
+  } catch (err) {
+    return res.status(500).json({ status: 'error', message: 'Failed to load sessions', error: err.message });
+  }
+};
+
+// Revoke one of the current user's sessions (signs that device out)
+exports.revokeSession = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await revokeSession(id, 'revoked_by_user', { userId: req.user._id });
+    if (!result.modifiedCount) {
+      return res.status(404).json({ status: 'error', message: 'Session not found' });
+    }
+    return res.status(200).json({ status: 'success', message: 'Session revoked' });
+  } catch (err) {
+    return res.status(500).json({ status: 'error', message: 'Failed to revoke session', error: err.message });
+  }
+};
+
+// Revoke every session except the one making the request
+exports.revokeOtherSessions = async (req, res) => {
+  try {
+    const result = await revokeUserSessions(req.user._id, {
+      reason: 'revoked_by_user',
+      exceptSessionId: req.authSession?._id
+    });
+    return res.status(200).json({ status: 'success', revoked: result.modifiedCount || 0 });
+  } catch (err) {
+    return res.status(500).json({ status: 'error', message: 'Failed to revoke sessions', error: err.message });
+  }
+};
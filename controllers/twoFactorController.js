@@ -0,0 +1,208 @@
+const crypto = require('crypto');
+const User = require('../models/userModel');
+const { generateSecret, verifyTotp, buildOtpauthUri } = require('../utils/totp');
+const { verifyChallengeToken, hashToken } = require('../utils/generateToken');
+const { createSession } = require('../services/sessionService');
+const audit = require('../services/auditService');
+const { ACTIONS } = audit;
+
+const TWO_FACTOR_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+// Wrong codes accepted per user before every outstanding login challenge is invalidated
+const MAX_CHALLENGE_FAILURES = 5;
+
+// 10 single-use codes like "a1b2c-3d4e5"; only their hashes are stored
+function generateRecoveryCodes(count = 10) {
+  const codes = [];
+  for (let i = 0; i < count; i++) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+  return codes;
+}
+
+function normalizeRecoveryCode(code) {
+  return String(code || '').trim().toLowerCase().replace(/\s+/g, '');
+}
+
+// Accept either a current TOTP code or an unused recovery code; consumes what it accepts.
+// Returns 'totp' | 'recovery' | null. Caller saves the user.
+function consumeSecondFactor(user, { code, recoveryCode }) {
+  if (code) {
+    const step = verifyTotp(user.twoFactor.secret, code);
+    if (step !== null && !(typeof user.twoFactor.lastUsedStep === 'number' && step <= user.twoFactor.lastUsedStep)) {
+      user.twoFactor.lastUsedStep = step;
+      return 'totp';
+    }
+  }
+  if (recoveryCode) {
+    const hash = hashToken(normalizeRecoveryCode(recoveryCode));
+    const codes = user.twoFactor.recoveryCodes || [];
+    if (codes.includes(hash)) {
+      user.twoFactor.recoveryCodes = codes.filter(c => c !== hash);
+      return 'recovery';
+    }
+  }
+  return null;
+}
+
+// Start enrollment: generate a secret and the otpauth URI for the authenticator app
+exports.setup = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+    if (!user) return res.status(401).json({ message: 'Not authenticated' });
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({ status: 'error', message: 'Two-factor authentication is already enabled' });
+    }
+    if (user.passwordSet === false) {
+      return res.status(400).json({ status: 'error', message: 'Set a password first; two-factor authentication protects password logins' });
+    }
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+    return res.status(200).json({
+      status: 'success',
+      secret,
+      otpauthUrl: buildOtpauthUri({ secret, account: user.email })
+    });
+  } catch (err) {
+    return res.status(500).json({ status: 'error', message: 'Server error', error: err.message });
+  }
+};
+
+// Finish enrollment by confirming the first code; returns recovery codes once
+exports.enable = async (req, res) => {
+  try {
+    const { code } = req.body || {};
+    if (!code) return res.status(400).json({ message: 'code is required' });
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+    if (!user) return res.status(401).json({ message: 'Not authenticated' });
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({ status: 'error', message: 'Two-factor authentication is already enabled' });
+    }
+    if (!user.twoFactor?.pendingSecret) {
+      return res.status(400).json({ status: 'error', message: 'Start two-factor setup first' });
+    }
+    const step = verifyTotp(user.twoFactor.pendingSecret, code);
+    if (step === null) return res.status(400).json({ status: 'error', message: 'Invalid code' });
+
+    const recoveryCodes = generateRecoveryCodes();
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.recoveryCodes = recoveryCodes.map(c => hashToken(c));
+    await user.save();
+    await audit.recordSecurityEvent(req, ACTIONS.TWO_FACTOR_ENABLE, { user });
+
+    return res.status(200).json({ status: 'success', message: 'Two-factor authentication enabled.', recoveryCodes });
+  } catch (err) {
+    return res.status(500).json({ status: 'error', message: 'Server error', error: err.message });
+  }
+};
+
+// Second login step: exchange the challenge token + code for a real session
+exports.verifyLogin = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body || {};
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({ message: 'challengeToken and code (or recoveryCode) are required' });
+    }
+    const challenge = verifyChallengeToken(challengeToken);
+    if (!challenge) return res.status(401).json({ status: 'error', message: 'Login challenge expired. Please log in again.' });
+
+    const user = await User.findById(challenge.userId).select(`${TWO_FACTOR_FIELDS} +twoFactor.challengesValidAfter`);
+    const validAfter = user?.twoFactor?.challengesValidAfter;
+    if (!user || !user.twoFactor?.enabled || (validAfter && challenge.issuedAt <= validAfter.getTime())) {
+      return res.status(401).json({ status: 'error', message: 'Login challenge expired. Please log in again.' });
+    }
+    const method = consumeSecondFactor(user, { code, recoveryCode });
+    if (!method) {
+      // Counted per user, so parallel challenges do not multiply the guesses
+      const counted = await User.findByIdAndUpdate(
+        user._id,
+        { $inc: { 'twoFactor.failedAttempts': 1 } },
+        { new: true }
+      ).select('+twoFactor.failedAttempts');
+      const locked = (counted?.twoFactor?.failedAttempts || 0) >= MAX_CHALLENGE_FAILURES;
+      if (locked) {
+        await User.updateOne(
+          { _id: user._id },
+          { $set: { 'twoFactor.failedAttempts': 0, 'twoFactor.challengesValidAfter': new Date() } }
+        );
+      }
+      await audit.recordSecurityEvent(req, ACTIONS.LOGIN_2FA, {
+        user, success: false, metadata: { reason: locked ? 'too_many_attempts' : 'bad_code' }
+      });
+      if (locked) {
+        return res.status(401).json({ status: 'error', message: 'Too many invalid codes. Please log in again.' });
+      }
+      return res.status(400).json({ status: 'error', message: 'Invalid code' });
+    }
+    user.twoFactor.failedAttempts = 0;
+    await user.save();
+
+    const { token, refreshToken, session } = await createSession(user._id, req);
+    await audit.recordSecurityEvent(req, ACTIONS.LOGIN_2FA, { user, metadata: { method, sessionId: session._id } });
+    return res.status(200).json({
+      status: 'success',
+      token,
+      refreshToken,
+      recoveryCodesRemaining: method === 'recovery' ? (user.twoFactor.recoveryCodes || []).length : undefined,
+      user: {
+        id: user._id,
+        fullname: user.fullname,
+        email: user.email,
+        emailVerified: user.emailVerified !== false
+      }
+    });
+  } catch (err) {
+    return res.status(500).json({ status: 'error', message: 'Server error', error: err.message });
+  }
+};
+
+// Replace all recovery codes (requires a current code)
+exports.regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { code } = req.body || {};
+    if (!code) return res.status(400).json({ message: 'code is required' });
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+    if (!user || !user.twoFactor?.enabled) {
+      return res.status(400).json({ status: 'error', message: 'Two-factor authentication is not enabled' });
+    }
+    if (consumeSecondFactor(user, { code }) !== 'totp') {
+      return res.status(400).json({ status: 'error', message: 'Invalid code' });
+    }
+    const recoveryCodes = generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = recoveryCodes.map(c => hashToken(c));
+    await user.save();
+    return res.status(200).json({ status: 'success', recoveryCodes });
+  } catch (err) {
+    return res.status(500).json({ status: 'error', message: 'Server error', error: err.message });
+  }
+};
+
+// Turn 2FA off; requires the account password plus a current code
+exports.disable = async (req, res) => {
+  try {
+    const { password, code } = req.body || {};
+    if (!password || !code) return res.status(400).json({ message: 'password and code are required' });
+    const user = await User.findById(req.user._id).select(`+password ${TWO_FACTOR_FIELDS}`);
+    if (!user) return res.status(401).json({ message: 'Not authenticated' });
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({ status: 'error', message: 'Two-factor authentication is not enabled' });
+    }
+    const isMatch = await user.comparePassword(String(password));
+    if (!isMatch) return res.status(400).json({ status: 'error', message: 'Password incorrect.' });
+    if (consumeSecondFactor(user, { code }) !== 'totp') {
+      return res.status(400).json({ status: 'error', message: 'Invalid code' });
+    }
+
+    user.twoFactor = { enabled: false };
+    await user.save();
+    await audit.recordSecurityEvent(req, ACTIONS.TWO_FACTOR_DISABLE, { user });
+    return res.status(200).json({ status: 'success', message: 'Two-factor authentication disabled.' });
+  } catch (err) {
+    return res.status(500).json({ status: 'error', message: 'Server error', error: err.message });
+  }
+};
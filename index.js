@@ -58,6 +58,11 @@ const calendarRoutes = require("./routes/calendarRoutes");
 const locationRoutes = require("./routes/locationRoutes");
 const notificationRoutes = require("./routes/notificationRoutes");
 const assistantRoutes = require("./routes/assistant");
+const cronRoutes = require("./routes/cronRoutes");
+const adminRoutes = require("./routes/adminRoutes");
+const avatarRoutes = require("./routes/avatarRoutes");
+const labelRoutes = require("./routes/labelRoutes");
+const searchRoutes = require("./routes/searchRoutes");
 
 const { errorHandler } = require("./middleware/errorMiddleware");
 
@@ -93,6 +98,11 @@ app.use("/api/reminders", reminderRoutes);
 app.use("/api/calendar", calendarRoutes);
 app.use("/api/locations", locationRoutes);
 app.use("/api/notifications", notificationRoutes);
+app.use("/api/admin", adminRoutes);
+app.use("/api/avatars", avatarRoutes);
+app.use("/api/labels", labelRoutes);
+app.use("/api/search", searchRoutes);
+app.use("/api/cron", cronRoutes);
 app.use(errorHandler);
 
 // EXPORT AS SERVERLESS HANDLER
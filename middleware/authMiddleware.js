@@ -1,11 +1,14 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/userModel');
+const Session = require('../models/sessionModel');
+const { touchSession } = require('../services/sessionService');
+const { isAccessToken, verifyAccessToken, touchAccessToken } = require('../services/accessTokenService');
+const { isFeatureRestricted } = require('../utils/verificationPolicy');
 
 exports.auth = async (req, res, next) => {
   let token;
   
   console.log('Auth middleware called for path:', req.path);
-  console.log('Request headers:', JSON.stringify(req.headers, null, 2));
   
   // 1. Get token from header
   if (req.headers.authorization && req.headers.authorization.startsWith('Bearer ')) {
@@ -25,14 +28,26 @@ exports.auth = async (req, res, next) => {
     });
   }
 
+  // Personal access tokens ("bpat_...") for scripts and integrations
+  if (isAccessToken(token)) return authenticateAccessToken(token, req, res, next);
+
   try {
-    console.log('JWT_SECRET exists:', !!process.env.JWT_SECRET);
-    
     // 3. Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    console.log('Decoded token:', decoded);
+
+    // 4. Check the session (refresh token family) is still alive. Tokens issued before
+    // sessions existed carry no sid and are no longer accepted, nor are purpose-bound
+    // tokens such as 2FA challenges.
+    const session = decoded.sid && !decoded.purpose ? await Session.findById(decoded.sid) : null;
+    if (!session || !session.isActive() || String(session.user) !== String(decoded.id)) {
+      return res.status(401).json({
+        success: false,
+        error: 'Session revoked',
+        message: 'Your session has ended. Please log in again.'
+      });
+    }
     
-    // 4. Check if user still exists
+    // 5. Check if user still exists
     const currentUser = await User.findById(decoded.id).select('-password');
     if (!currentUser) {
       console.log('User no longer exists');
@@ -43,7 +58,7 @@ exports.auth = async (req, res, next) => {
       });
     }
     
-    // 5. Check if user changed password after the token was issued
+    // 6. Check if user changed password after the token was issued
     if (currentUser.changedPasswordAfter(decoded.iat)) {
       return res.status(401).json({
         success: false,
@@ -52,9 +67,11 @@ exports.auth = async (req, res, next) => {
       });
     }
     
-    // 6. Grant access to protected route
+    // 7. Grant access to protected route
     req.user = currentUser;
+    req.authSession = session;
     res.locals.user = currentUser;
+    touchSession(session, req).catch((e) => console.warn('[auth] failed to update session last-seen', e?.message));
     console.log('User authenticated 2:', {
       id: currentUser._id,
       email: currentUser.email
@@ -69,4 +86,79 @@ exports.auth = async (req, res, next) => {
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
-};
\ No newline at end of file
+};
+
+// Bearer personal access token: scoped, no session. Routes opt in with requireScope;
+// routes behind requireSession refuse these tokens.
+async function authenticateAccessToken(token, req, res, next) {
+  try {
+    const accessToken = await verifyAccessToken(token);
+    const currentUser = accessToken ? await User.findById(accessToken.user).select('-password') : null;
+    if (!currentUser) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid token',
+        message: 'This access token is invalid, expired or revoked'
+      });
+    }
+    req.user = currentUser;
+    req.accessToken = accessToken;
+    res.locals.user = currentUser;
+    touchAccessToken(accessToken, req).catch((e) => console.warn('[auth] failed to update token last-used', e?.message));
+    next();
+  } catch (error) {
+    console.error('Access token authentication error:', error.message);
+    return res.status(401).json({ status: 'error', message: 'Not authorized, token verification failed' });
+  }
+}
+
+// Require every listed scope when the request uses a personal access token (use after `auth`).
+// Login sessions hold all scopes.
+exports.requireScope = (...scopes) => (req, res, next) => {
+  if (req.accessToken && !scopes.every(s => req.accessToken.scopes.includes(s))) {
+    return res.status(403).json({
+      success: false,
+      error: 'Insufficient scope',
+      message: `This access token needs the ${scopes.join(', ')} scope`
+    });
+  }
+  next();
+};
+
+// Only accept interactive login sessions, not personal access tokens (use after `auth`).
+// For account and security management routes.
+exports.requireSession = (req, res, next) => {
+  if (req.accessToken) {
+    return res.status(403).json({
+      success: false,
+      error: 'Session required',
+      message: 'Personal access tokens cannot be used for this action'
+    });
+  }
+  next();
+};
+
+// Restrict a route to users with one of the given roles (use after `auth`)
+exports.requireRole = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).json({
+      success: false,
+      error: 'Forbidden',
+      message: 'You do not have permission to perform this action'
+    });
+  }
+  next();
+};
+
+// Block a feature (e.g. 'ai', 'tts') for accounts that still have to verify their email.
+// Which features are blocked is configured in utils/verificationPolicy.
+exports.requireVerifiedEmail = (feature) => (req, res, next) => {
+  if (isFeatureRestricted(req.user, feature)) {
+    return res.status(403).json({
+      success: false,
+      error: 'Email not verified',
+      message: 'Please verify your email address to use this feature'
+    });
+  }
+  next();
+};
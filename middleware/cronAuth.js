@@ -0,0 +1,12 @@
+// Protects /api/cron endpoints. Vercel Cron sends "Authorization: Bearer <CRON_SECRET>";
+// other schedulers (or a manual curl) must send the same header.
+exports.cronAuth = (req, res, next) => {
+  const secret = process.env.CRON_SECRET;
+  if (!secret) {
+    return res.status(503).json({ success: false, message: 'CRON_SECRET not configured' });
+  }
+  if (req.headers.authorization !== `Bearer ${secret}`) {
+    return res.status(401).json({ success: false, message: 'Unauthorized' });
+  }
+  next();
+};
@@ -1,21 +1,30 @@
 // Simple per-key rate limiter (memory-based). For production, consider Redis.
+const { normalizePhone } = require('../utils/phone');
+
 const buckets = new Map();
 
 function makeKey(req, keyType = 'ip') {
   if (keyType === 'user' && req.user?._id) return `user:${req.user._id}`;
   // email-based key for public endpoints
   if (keyType === 'email' && req.body?.email) return `email:${String(req.body.email).toLowerCase()}`;
+  // Keyed on the normalized number so "+1555…" and "001555…" share a bucket; unparseable input falls back to the IP
+  if (keyType === 'phone') {
+    const phone = normalizePhone(req.body?.phone);
+    if (phone) return `phone:${phone}`;
+  }
   return `ip:${req.ip || req.headers['x-forwarded-for'] || req.connection?.remoteAddress || 'unknown'}`;
 }
 
-// options: { windowMs, max, keyType }
+// options: { windowMs, max, keyType, name }
+// `name` gives the limiter its own buckets, so routes sharing a key type do not use up each other's budget
 exports.rateLimit = (options = {}) => {
   const windowMs = options.windowMs || 60 * 1000;
   const max = options.max || 5;
   const keyType = options.keyType || 'ip';
+  const prefix = options.name ? `${options.name}:` : '';
   return (req, res, next) => {
     try {
-      const key = makeKey(req, keyType);
+      const key = prefix + makeKey(req, keyType);
       const now = Date.now();
       if (!buckets.has(key)) {
         buckets.set(key, []);
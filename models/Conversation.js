@@ -71,6 +71,8 @@ conversationSchema.methods.addMessage = async function(role, content) {
 
 // Create a compound index for faster lookups
 conversationSchema.index({ userId: 1, updatedAt: -1 });
+// Full-text search over chat history (GET /api/search)
+conversationSchema.index({ userId: 1, 'messages.content': 'text' }, { name: 'conversation_text' });
 
 const Conversation = mongoose.model('Conversation', conversationSchema);
 
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// Append-only record of security events and privileged actions.
+// action examples: 'auth.login', 'auth.otp.send', 'auth.password.change', 'calendar.connect',
+// 'admin.user.deactivate' (see services/auditService for the full list).
+const auditLogSchema = new mongoose.Schema(
+  {
+    // Who performed the action (unset for anonymous attempts, e.g. a failed login)
+    actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
+    action: { type: String, required: true, index: true },
+    // Account the event concerns; users can read the events recorded against them
+    targetUser: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
+    success: { type: Boolean, default: true },
+    metadata: { type: mongoose.Schema.Types.Mixed },
+    ip: { type: String },
+    userAgent: { type: String },
+  },
+  { timestamps: { createdAt: 'createdAt', updatedAt: false } }
+);
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ targetUser: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
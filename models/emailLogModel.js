@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// One document per outgoing email: what was sent, to whom, and whether it got through.
+// Rendered bodies are never stored; retryable templates keep their variables in `payload`
+// so a failed send can be re-rendered later.
+const emailLogSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
+    to: { type: String, required: true, lowercase: true, trim: true },
+    template: { type: String, required: true },
+    locale: { type: String, default: 'en' },
+    subject: { type: String },
+    transport: { type: String },
+    status: { type: String, enum: ['queued', 'sent', 'failed'], default: 'queued', index: true },
+    attempts: { type: Number, default: 0 },
+    maxAttempts: { type: Number, default: 3 },
+    lastError: { type: String },
+    messageId: { type: String },
+    sentAt: { type: Date },
+    nextAttemptAt: { type: Date },
+    payload: { type: mongoose.Schema.Types.Mixed, select: false },
+  },
+  { timestamps: { createdAt: 'createdAt', updatedAt: 'updatedAt' } }
+);
+
+emailLogSchema.index({ status: 1, nextAttemptAt: 1 });
+emailLogSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('EmailLog', emailLogSchema);
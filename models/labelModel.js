@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// User-defined grouping for reminders. A reminder belongs to at most one list
+// (a list or project, Reminder.list) and can carry any number of tags (Reminder.tags).
+const labelSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    kind: { type: String, enum: ['list', 'tag'], required: true },
+    name: { type: String, required: true, trim: true, maxlength: 50 },
+    // Hex color, e.g. "#4F46E5"
+    color: { type: String, match: /^#[0-9a-fA-F]{6}$/ },
+    icon: { type: String, trim: true },
+    sortOrder: { type: Number, default: 0 },
+  },
+  { timestamps: true }
+);
+
+// Names are unique per user and kind, ignoring case
+labelSchema.index(
+  { user: 1, kind: 1, name: 1 },
+  { unique: true, collation: { locale: 'en', strength: 2 } }
+);
+
+module.exports = mongoose.model('Label', labelSchema);
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// Failed-login counters, one document per key ("email:<address>" or "ip:<address>").
+// Kept in Mongo (not process memory) so delays and lockouts survive serverless cold starts.
+const loginAttemptSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, unique: true },
+    failures: { type: Number, default: 0 },
+    lastFailureAt: { type: Date },
+    // Earliest time the next attempt is accepted (exponential delay)
+    nextAllowedAt: { type: Date },
+    lockedUntil: { type: Date },
+    // Hash of the one-time unlock token emailed when an account is locked
+    unlockTokenHash: { type: String, index: true, sparse: true },
+    // Documents disappear once the counter has been idle for the tracking window
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
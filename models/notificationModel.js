@@ -7,10 +7,20 @@ const notificationSchema = new mongoose.Schema(
     message: { type: String, required: true },
     isRead: { type: Boolean, default: false, index: true },
     reminderId: { type: mongoose.Schema.Types.ObjectId, ref: 'Reminder' },
+    // Set by the reminder dispatcher: one notification per reminder occurrence (or snooze)
+    dedupeKey: { type: String },
+    // The occurrence this notification announces
+    occursAt: { type: Date },
   },
   { timestamps: { createdAt: 'createdAt', updatedAt: 'updatedAt' } }
 );
 
 notificationSchema.index({ userId: 1, createdAt: -1 });
+// Full-text search (GET /api/search)
+notificationSchema.index({ userId: 1, message: 'text' }, { name: 'notification_text' });
+notificationSchema.index(
+  { dedupeKey: 1 },
+  { unique: true, partialFilterExpression: { dedupeKey: { $type: 'string' } } }
+);
 
 module.exports = mongoose.model('Notification', notificationSchema);
@@ -1,5 +1,28 @@
 const mongoose = require('mongoose');
 
+// RFC 5545 recurrence (see utils/recurrence for how rules are expanded)
+const recurrenceSchema = new mongoose.Schema({
+  // RRULE value without DTSTART, e.g. "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO"
+  rrule: { type: String, required: true },
+  // DTSTART: the first occurrence
+  start: { type: Date, required: true },
+  // IANA time zone the rule is evaluated in (defaults to the user's)
+  tz: { type: String, default: 'UTC' },
+  // EXDATE: occurrences to skip
+  exdates: { type: [Date], default: [] },
+  // True when converted from the legacy routine fields; recomputed when those change
+  derived: { type: Boolean, default: false }
+}, { _id: false });
+
+// Checklist item (subtask) of a Task; array order is display order
+const checklistItemSchema = new mongoose.Schema({
+  title: { type: String, required: true, trim: true, maxlength: 200 },
+  isCompleted: { type: Boolean, default: false },
+  completedAt: { type: Date },
+  // Optional due time of this item
+  dueAt: { type: Date }
+});
+
 const reminderSchema = new mongoose.Schema({
   user: {
     type: mongoose.Schema.Types.ObjectId,
@@ -70,17 +93,54 @@ const reminderSchema = new mongoose.Schema({
     },
     default: undefined
   },
+  // Recurrence rule; supersedes scheduleType 'routine' + scheduleDays + scheduleTime.fixedTime,
+  // which are converted automatically
+  recurrence: { type: recurrenceSchema, default: undefined },
   // Flags for AI suggested scheduling and human-friendly notification line
   aiSuggested: { type: Boolean, default: false },
+  // Which scheduler produced the AI schedule ('gemini' or the heuristic 'fallback')
+  aiScheduleSource: { type: String, enum: ['gemini', 'fallback'], default: undefined },
   aiNotificationLine: { type: String },
 
   // Per-item notification preference in minutes (used for Meetings and one-day Tasks). Default 10.
+  // Superseded by `alerts`; kept in sync with the closest relative alert for older clients.
   notificationPreferenceMinutes: { type: Number, default: 10, min: 0 },
+  // Notification alerts (see utils/alerts): relative { minutesBefore } or absolute { at }
+  alerts: {
+    type: [{
+      _id: false,
+      minutesBefore: { type: Number, min: 0 },
+      at: { type: Date }
+    }],
+    default: undefined
+  },
+  // Snooze: the next notification fires at snoozedUntil instead of the scheduled time.
+  // startDate is never moved by a snooze.
+  snoozedUntil: { type: Date },
+  snoozeHistory: {
+    type: [{
+      _id: false,
+      snoozedAt: { type: Date, default: Date.now },
+      until: { type: Date, required: true },
+      // Duration as requested, e.g. "10 min" or "tomorrow morning"
+      duration: { type: String },
+      // Occurrence that was snoozed, for recurring reminders
+      occursAt: { type: Date }
+    }],
+    default: undefined
+  },
 
   isCompleted: {
     type: Boolean,
     default: false
   },
+  // Grouping (see models/labelModel): one list/project and any number of tags
+  list: { type: mongoose.Schema.Types.ObjectId, ref: 'Label' },
+  tags: { type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Label' }], default: undefined },
+  // Subtasks (Task reminders only); the task completes itself once every item is done
+  checklist: { type: [checklistItemSchema], default: undefined },
+  // Set when the reminder is moved to the trash; purged after the retention period (services/trashService)
+  deletedAt: { type: Date },
   createdAt: {
     type: Date,
     default: Date.now
@@ -110,5 +170,25 @@ reminderSchema.index({ user: 1, isManualSchedule: 1 });
 // Indexes to query active location reminders and throttle triggers
 reminderSchema.index({ user: 1, type: 1, status: 1 });
 reminderSchema.index({ user: 1, lastTriggeredAt: 1 });
+reminderSchema.index({ user: 1, list: 1 });
+reminderSchema.index({ user: 1, tags: 1 });
+reminderSchema.index({ deletedAt: 1 }, { sparse: true });
+// Full-text search (GET /api/search); titles weigh more than descriptions
+reminderSchema.index(
+  { user: 1, title: 'text', description: 'text' },
+  { name: 'reminder_text', weights: { title: 3, description: 1 } }
+);
+
+// Query middleware to hide trashed reminders by default.
+// Queries that filter on `deletedAt` themselves (trash, restore, purge) or set the
+// `withDeleted` option (account export) are left alone.
+function excludeTrashed(next) {
+  if (this.getOptions().withDeleted) return next();
+  if (Object.prototype.hasOwnProperty.call(this.getFilter(), 'deletedAt')) return next();
+  this.where({ deletedAt: null });
+  next();
+}
+reminderSchema.pre(/^find/, excludeTrashed);
+reminderSchema.pre('countDocuments', excludeTrashed);
 
 module.exports = mongoose.model('Reminder', reminderSchema);
@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// Outcome of one occurrence of a recurring reminder ("Morning workout" on 2024-05-03).
+// Occurrences without a document are pending (future) or missed (past).
+const reminderOccurrenceSchema = new mongoose.Schema(
+  {
+    reminder: { type: mongoose.Schema.Types.ObjectId, ref: 'Reminder', required: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    // The occurrence instant as produced by the reminder's recurrence
+    occursAt: { type: Date, required: true },
+    status: { type: String, enum: ['completed', 'skipped', 'missed'], required: true },
+    // When the status was recorded
+    recordedAt: { type: Date, default: Date.now },
+  },
+  { timestamps: true }
+);
+
+reminderOccurrenceSchema.index({ reminder: 1, occursAt: 1 }, { unique: true });
+reminderOccurrenceSchema.index({ user: 1, occursAt: -1 });
+
+module.exports = mongoose.model('ReminderOccurrence', reminderOccurrenceSchema);
@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+// A session is one refresh-token family: every rotation replaces the hash below,
+// and presenting an older token from the same family revokes the whole session.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // SHA-256 of the only refresh token currently valid for this session
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // SHA-256 of the most recent refresh tokens already rotated away. Replaying one of these
+  // revokes the session; a token that was never issued is simply rejected.
+  previousTokenHashes: {
+    type: [String],
+    select: false,
+    default: undefined
+  },
+  // Number of rotations performed so far
+  generation: {
+    type: Number,
+    default: 0
+  },
+  // Device details captured on sign-in
+  deviceName: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+    default: ''
+  },
+  platform: {
+    type: String,
+    trim: true,
+    maxlength: 30,
+    default: ''
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'revoked_by_user', 'reuse_detected', 'password_changed', 'password_reset', null],
+    default: null
+  }
+}, { timestamps: true });
+
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt && this.expiresAt.getTime() > Date.now();
+};
+
+// Public shape used by the sessions API (never exposes token hashes)
+sessionSchema.methods.toPublic = function(currentSessionId) {
+  return {
+    id: this._id,
+    deviceName: this.deviceName,
+    platform: this.platform,
+    ip: this.ip,
+    userAgent: this.userAgent,
+    lastSeenAt: this.lastSeenAt,
+    createdAt: this.createdAt,
+    current: !!currentSessionId && String(currentSessionId) === String(this._id)
+  };
+};
+
+// Expired sessions are removed by MongoDB once their refresh token can no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
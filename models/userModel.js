@@ -22,10 +22,89 @@ const userSchema = new mongoose.Schema({
     minlength: [8, 'Password must be at least 8 characters long'],
     select: false // Don't return password by default
   },
+  // False for accounts created through an identity provider that never chose a password
+  // (their stored password is a random placeholder). Unset on legacy accounts.
+  passwordSet: {
+    type: Boolean
+  },
+  // External sign-in identities linked to this account
+  identities: [{
+    _id: false,
+    provider: { type: String, required: true },
+    subject: { type: String, required: true },
+    email: { type: String, lowercase: true, trim: true },
+    linkedAt: { type: Date, default: Date.now }
+  }],
   phone: {
     type: String,
     default: ''
   },
+  // Set once the number has been confirmed by SMS code; only verified numbers can sign in
+  phoneVerified: {
+    type: Boolean,
+    default: false
+  },
+  phoneVerifiedAt: {
+    type: Date
+  },
+  // Number awaiting confirmation, with its code
+  pendingPhone: {
+    type: String,
+    select: false
+  },
+  phoneOtpHash: {
+    type: String,
+    select: false
+  },
+  phoneOtpExpiry: {
+    type: Date,
+    select: false
+  },
+  // Passwordless phone sign-in code; wrong guesses are counted and the code is dropped after a few
+  loginOtpHash: {
+    type: String,
+    select: false
+  },
+  loginOtpExpiry: {
+    type: Date,
+    select: false
+  },
+  loginOtpAttempts: {
+    type: Number,
+    default: 0,
+    select: false
+  },
+  // Preferred language for emails and notifications (see services/email/templates)
+  locale: {
+    type: String,
+    default: 'en'
+  },
+  // IANA time zone, e.g. "Europe/Madrid"; recurring reminders are evaluated in it
+  timezone: {
+    type: String,
+    default: 'UTC'
+  },
+  // Default alert offsets (minutes before start) for new reminders, per type.
+  // Task defaults apply to one-off tasks; routines notify at their fixed time.
+  alertDefaults: {
+    Task: { type: [Number], default: undefined },
+    Meeting: { type: [Number], default: undefined }
+  },
+  // Email verification. Left unset for accounts created before verification existed.
+  emailVerified: {
+    type: Boolean
+  },
+  emailVerifiedAt: {
+    type: Date
+  },
+  emailVerifyOtpHash: {
+    type: String,
+    select: false
+  },
+  emailVerifyOtpExpiry: {
+    type: Date,
+    select: false
+  },
   // Legacy reset token fields (kept for backward compatibility)
   resetPasswordToken: {
     type: String,
@@ -49,6 +128,22 @@ const userSchema = new mongoose.Schema({
     default: false,
     select: false
   },
+  // TOTP two-factor authentication (password logins)
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    enabledAt: { type: Date },
+    secret: { type: String, select: false },
+    // Secret generated by /2fa/setup, promoted to `secret` once the first code is confirmed
+    pendingSecret: { type: String, select: false },
+    // SHA-256 hashes of unused recovery codes
+    recoveryCodes: { type: [String], select: false, default: undefined },
+    // Last accepted TOTP time step, so a code cannot be replayed
+    lastUsedStep: { type: Number, select: false },
+    // Wrong codes entered at /2fa/verify since the last successful one
+    failedAttempts: { type: Number, default: 0, select: false },
+    // Login challenges issued before this time are no longer accepted
+    challengesValidAfter: { type: Date, select: false }
+  },
   reminders: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Reminder'
@@ -61,6 +156,11 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: 'default.jpg'
   },
+  // Uploaded avatar (see services/avatarService); profilePicture then points at its URL
+  avatar: {
+    id: { type: String },
+    updatedAt: { type: Date }
+  },
   role: {
     type: String,
     enum: ['user', 'admin'],
@@ -79,6 +179,18 @@ const userSchema = new mongoose.Schema({
   passwordChangedAt: {
     type: Date,
     select: false
+  },
+  // Set by an admin; password login is refused until the user resets their password
+  mustResetPassword: {
+    type: Boolean,
+    default: false
+  },
+  // Account deletion: data is purged by the cron job once deletionScheduledFor passes
+  deletionRequestedAt: {
+    type: Date
+  },
+  deletionScheduledFor: {
+    type: Date
   }
 }, { 
   timestamps: true,
@@ -123,13 +235,23 @@ userSchema.methods.changedPasswordAfter = function(JWTTimestamp) {
   return false;
 };
 
-// Query middleware to filter out inactive users by default
+// Query middleware to filter out inactive users by default.
+// Queries that filter on `active` themselves (e.g. admin lookups) are left alone.
 userSchema.pre(/^find/, function(next) {
+  if (Object.prototype.hasOwnProperty.call(this.getFilter(), 'active')) return next();
   this.find({ active: { $ne: false } });
   next();
 });
 
 // Index for better query performance
 userSchema.index({ email: 1 });
+userSchema.index({ deletionScheduledFor: 1 }, { sparse: true });
+// A verified phone number signs in to exactly one account
+userSchema.index({ phone: 1 }, { unique: true, partialFilterExpression: { phoneVerified: true } });
+// One account per external identity
+userSchema.index(
+  { 'identities.provider': 1, 'identities.subject': 1 },
+  { unique: true, partialFilterExpression: { 'identities.subject': { $exists: true } } }
+);
 
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
@@ -0,0 +1,52 @@
+const express = require('express');
+const { param, query } = require('express-validator');
+const router = express.Router();
+const { auth, requireRole, requireSession } = require('../middleware/authMiddleware');
+const validate = require('../middleware/validate');
+const adminController = require('../controllers/adminController');
+
+// Every admin route requires an admin signed in interactively (no personal access tokens)
+router.use(auth, requireSession, requireRole('admin'));
+
+const userIdRule = [param('id').isMongoId().withMessage('Invalid user ID')];
+
+router.get(
+  '/users',
+  [
+    query('role').optional().isIn(['user', 'admin']).withMessage('Invalid role'),
+    query('active').optional().isBoolean().withMessage('active must be a boolean'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  ],
+  validate,
+  adminController.listUsers
+);
+router.get('/users/:id', userIdRule, validate, adminController.getUser);
+router.post('/users/:id/deactivate', userIdRule, validate, adminController.deactivateUser);
+router.post('/users/:id/reactivate', userIdRule, validate, adminController.reactivateUser);
+router.post('/users/:id/force-password-reset', userIdRule, validate, adminController.forcePasswordReset);
+
+router.get(
+  '/stats',
+  [query('days').optional().isInt({ min: 1, max: 365 }).withMessage('days must be between 1 and 365')],
+  validate,
+  adminController.getStats
+);
+
+router.get(
+  '/audit',
+  [
+    query('user').optional().isMongoId().withMessage('Invalid user ID'),
+    query('actor').optional().isMongoId().withMessage('Invalid actor ID'),
+    query('action').optional().isString().trim().notEmpty().withMessage('Invalid action'),
+    query('success').optional().isBoolean().withMessage('success must be a boolean'),
+    query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+    query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  ],
+  validate,
+  adminController.listAuditEvents
+);
+
+module.exports = router;
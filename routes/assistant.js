@@ -3,7 +3,7 @@ const router = express.Router();
 const multer = require('multer');
 const { GoogleGenerativeAI } = require('@google/generative-ai');
 const { GoogleAIFileManager } = require('@google/generative-ai/server');
-const { auth } = require('../middleware/authMiddleware');
+const { auth, requireScope, requireVerifiedEmail } = require('../middleware/authMiddleware');
 const Conversation = require('../models/Conversation');
 const Reminder = require('../models/reminderModel');
 const User = require('../models/userModel');
@@ -53,10 +53,8 @@ When creating tasks or meetings, you should:
 - Always communicate in English only`;
 
 // Chat with the AI assistant
-router.post('/chat', auth, upload.single('audio'), async (req, res) => {
+router.post('/chat', auth, requireScope('assistant:chat'), requireVerifiedEmail('ai'), upload.single('audio'), async (req, res) => {
   console.log('\n--- New Chat Request ---');
-  console.log('Headers:', req.headers);
-  console.log('Body:', req.body);
   console.log('File:', req.file);
   console.log('User:', req.user);
   
@@ -361,7 +359,7 @@ const lastAssistantResponse =
 });
 
 // Get conversation history
-router.get('/conversation', auth, async (req, res) => {
+router.get('/conversation', auth, requireScope('assistant:chat'), async (req, res) => {
   try {
     const conversation = await Conversation.findOne({ userId: req.user.id });
     if (!conversation) {
@@ -379,7 +377,7 @@ router.get('/conversation', auth, async (req, res) => {
 });
 
 // Clear conversation history
-router.delete('/conversation', auth, async (req, res) => {
+router.delete('/conversation', auth, requireScope('assistant:chat'), async (req, res) => {
   try {
     await Conversation.deleteOne({ userId: req.user.id });
     res.json({ success: true, message: 'Conversation cleared' });
@@ -2,34 +2,121 @@ const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController');
 const calendarController = require('../controllers/calendarController');
-const { auth } = require('../middleware/authMiddleware');
+const sessionController = require('../controllers/sessionController');
+const twoFactorController = require('../controllers/twoFactorController');
+const accountController = require('../controllers/accountController');
+const identityController = require('../controllers/identityController');
+const accessTokenController = require('../controllers/accessTokenController');
+const phoneAuthController = require('../controllers/phoneAuthController');
+const { SCOPES } = require('../models/accessTokenModel');
+const { auth, requireSession } = require('../middleware/authMiddleware');
 const { rateLimit } = require('../middleware/rateLimiter');
+const { body, param } = require('express-validator');
+const validate = require('../middleware/validate');
+
+// Account and security management is only available to login sessions, never to
+// personal access tokens
+const sessionAuth = [auth, requireSession];
 
 // Regular auth routes
 router.post('/signup', authController.signup);
 router.post('/login', authController.login);
+router.post('/refresh', rateLimit({ windowMs: 60 * 1000, max: 30, name: 'refresh' }), authController.refresh);
 router.post('/logout', authController.logout);
+router.post('/unlock', rateLimit({ windowMs: 60 * 1000, max: 10, name: 'unlock' }), authController.unlockAccount);
 // Legacy link-based reset (kept but not advertised)
 router.post('/forgot-password-legacy', authController.forgotPasswordLegacy);
 router.post('/reset-password/:token', authController.resetPasswordLegacy);
 
 // OTP-based password reset
-router.post('/forgot-password', rateLimit({ windowMs: 60 * 1000, max: 5, keyType: 'email' }), authController.forgotPassword);
-router.post('/verify-otp', rateLimit({ windowMs: 60 * 1000, max: 10, keyType: 'email' }), authController.verifyOtp);
-router.post('/reset-password', rateLimit({ windowMs: 60 * 1000, max: 5, keyType: 'email' }), authController.resetPassword);
+router.post('/forgot-password', rateLimit({ windowMs: 60 * 1000, max: 5, keyType: 'email', name: 'password-reset' }), authController.forgotPassword);
+router.post('/verify-otp', rateLimit({ windowMs: 60 * 1000, max: 10, keyType: 'email', name: 'password-reset-verify' }), authController.verifyOtp);
+router.post('/reset-password', rateLimit({ windowMs: 60 * 1000, max: 5, keyType: 'email', name: 'password-reset-confirm' }), authController.resetPassword);
+
+// Passwordless sign-in with a single-use email link
+router.post('/magic-link', rateLimit({ windowMs: 15 * 60 * 1000, max: 3, keyType: 'email', name: 'magic-link' }), authController.requestMagicLink);
+router.post('/magic-link/verify', rateLimit({ windowMs: 60 * 1000, max: 10, name: 'magic-link-verify' }), authController.verifyMagicLink);
+
+// Passwordless sign-in with an SMS code sent to a verified phone number
+router.post('/phone/login/send', rateLimit({ windowMs: 10 * 60 * 1000, max: 3, keyType: 'phone', name: 'phone-login-send' }), phoneAuthController.sendLoginCode);
+router.post('/phone/login/verify', rateLimit({ windowMs: 60 * 1000, max: 10, keyType: 'phone', name: 'phone-login-verify' }), phoneAuthController.verifyLoginCode);
+
+// Phone number verification (authenticated)
+router.post('/phone/verify/send', sessionAuth, rateLimit({ windowMs: 10 * 60 * 1000, max: 3, keyType: 'user', name: 'phone-verify-send' }), phoneAuthController.sendPhoneVerification);
+router.post('/phone/verify', sessionAuth, rateLimit({ windowMs: 60 * 1000, max: 10, keyType: 'user', name: 'phone-verify' }), phoneAuthController.verifyPhone);
+
+// Email verification (authenticated)
+router.post('/verify-email/send', sessionAuth, rateLimit({ windowMs: 10 * 60 * 1000, max: 3, keyType: 'user', name: 'verify-email-send' }), authController.sendEmailVerification);
+router.post('/verify-email', sessionAuth, rateLimit({ windowMs: 60 * 1000, max: 10, keyType: 'user', name: 'verify-email' }), authController.verifyEmail);
 
 // Change password (authenticated)
-router.put('/change-password', auth, rateLimit({ windowMs: 60 * 1000, max: 5, keyType: 'user' }), authController.changePassword);
+router.put('/change-password', sessionAuth, rateLimit({ windowMs: 60 * 1000, max: 5, keyType: 'user', name: 'change-password' }), authController.changePassword);
+
+// Two-factor authentication (TOTP)
+router.post('/2fa/verify', rateLimit({ windowMs: 60 * 1000, max: 10, name: '2fa-verify' }), twoFactorController.verifyLogin);
+router.post('/2fa/setup', sessionAuth, twoFactorController.setup);
+router.post('/2fa/enable', sessionAuth, rateLimit({ windowMs: 60 * 1000, max: 10, keyType: 'user', name: '2fa-enable' }), twoFactorController.enable);
+router.post('/2fa/recovery-codes', sessionAuth, rateLimit({ windowMs: 60 * 1000, max: 5, keyType: 'user', name: '2fa-recovery-codes' }), twoFactorController.regenerateRecoveryCodes);
+router.post('/2fa/disable', sessionAuth, rateLimit({ windowMs: 60 * 1000, max: 5, keyType: 'user', name: '2fa-disable' }), twoFactorController.disable);
 
-// Google auth route
-router.post('/google', authController.googleAuth);
+// Linked sign-in methods
+router.get('/identities', sessionAuth, identityController.listIdentities);
+router.post('/identities/:provider', sessionAuth, rateLimit({ windowMs: 60 * 1000, max: 5, keyType: 'user', name: 'link-identity' }), identityController.linkIdentity);
+router.delete('/identities/:provider', sessionAuth, identityController.unlinkIdentity);
+router.post('/password/set', sessionAuth, rateLimit({ windowMs: 60 * 1000, max: 5, keyType: 'user', name: 'password-set' }), authController.setPassword);
 
 // Google Calendar OAuth callback (for backward compatibility and proper redirect)
 router.get('/google/callback', calendarController.handleCallback);
 router.get('/calendar/callback', calendarController.handleCallback);
 
 // Profile routes
-router.get('/profile', auth, authController.getProfile);
-router.put('/profile', auth, authController.updateProfile);
+router.get('/profile', sessionAuth, authController.getProfile);
+router.put('/profile', sessionAuth, authController.updateProfile);
+
+// Personal data export and account deletion
+router.get('/account/export', sessionAuth, rateLimit({ windowMs: 60 * 60 * 1000, max: 5, keyType: 'user', name: 'account-export' }), accountController.exportData);
+router.post('/account/delete', sessionAuth, rateLimit({ windowMs: 60 * 1000, max: 5, keyType: 'user', name: 'account-delete' }), accountController.requestDeletion);
+router.post('/account/delete/cancel', sessionAuth, accountController.cancelDeletion);
+
+// Security events (audit log) for the current user
+router.get('/security-events', sessionAuth, authController.listSecurityEvents);
+
+// Device/session management
+router.get('/sessions', sessionAuth, sessionController.listSessions);
+router.delete('/sessions', sessionAuth, sessionController.revokeOtherSessions);
+router.delete(
+  '/sessions/:id',
+  sessionAuth,
+  [param('id').isMongoId().withMessage('Invalid session ID')],
+  validate,
+  sessionController.revokeSession
+);
+
+// Personal access tokens for scripts and integrations
+router.get('/tokens', sessionAuth, accessTokenController.listTokens);
+router.post(
+  '/tokens',
+  sessionAuth,
+  rateLimit({ windowMs: 60 * 1000, max: 10, keyType: 'user', name: 'create-token' }),
+  [
+    body('name').isString().trim().isLength({ min: 1, max: 100 }).withMessage('Name must be 1-100 characters'),
+    body('scopes').isArray({ min: 1 }).withMessage('At least one scope is required'),
+    body('scopes.*').isIn(SCOPES).withMessage(`Scopes must be among: ${SCOPES.join(', ')}`),
+    body('expiresInDays').optional().isInt({ min: 1, max: 365 }).withMessage('expiresInDays must be between 1 and 365')
+  ],
+  validate,
+  accessTokenController.createToken
+);
+router.delete(
+  '/tokens/:id',
+  sessionAuth,
+  [param('id').isMongoId().withMessage('Invalid token ID')],
+  validate,
+  accessTokenController.revokeToken
+);
+
+// External identity provider sign-in (google, configured OIDC providers, fake in tests).
+// Registered last so it never shadows the fixed POST routes above.
+router.post('/:provider', rateLimit({ windowMs: 60 * 1000, max: 20, name: 'provider-sign-in' }), identityController.providerSignIn);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,40 @@
+const express = require('express');
+const multer = require('multer');
+const avatarController = require('../controllers/avatarController');
+const { auth, requireSession } = require('../middleware/authMiddleware');
+const { rateLimit } = require('../middleware/rateLimiter');
+const AppError = require('../utils/appError');
+const { MAX_BYTES, ALLOWED_MIME_TYPES } = require('../services/avatarService');
+
+const router = express.Router();
+
+// Avatars are resized in memory and never touch the local disk here
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_BYTES, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (ALLOWED_MIME_TYPES.includes(file.mimetype)) return cb(null, true);
+    cb(new AppError('Only JPEG, PNG and WebP images are supported', 400));
+  },
+});
+
+// Turn multer errors (file too large, unexpected field) into 400s
+function avatarUpload(req, res, next) {
+  upload.single('avatar')(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      const message = err.code === 'LIMIT_FILE_SIZE'
+        ? `Image must be at most ${Math.round(MAX_BYTES / (1024 * 1024))}MB`
+        : err.message;
+      return next(new AppError(message, 400));
+    }
+    next(err);
+  });
+}
+
+router.put('/me', auth, requireSession, rateLimit({ windowMs: 60 * 1000, max: 10, keyType: 'user', name: 'avatar-upload' }), avatarUpload, avatarController.uploadAvatar);
+router.delete('/me', auth, requireSession, avatarController.deleteAvatar);
+
+// Public, unauthenticated: <img src> cannot send a bearer token
+router.get('/:key', avatarController.serveAvatar);
+
+module.exports = router;
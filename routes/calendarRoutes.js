@@ -1,11 +1,12 @@
 const express = require('express');
 const calendarController = require('../controllers/calendarController');
-const { auth } = require('../middleware/authMiddleware');
+const { auth, requireScope, requireSession } = require('../middleware/authMiddleware');
 
 const router = express.Router();
 
 // Google Calendar OAuth flow
-router.get('/auth/calendar', auth, calendarController.getAuthUrl);
+router.get('/auth/calendar', auth, requireSession, calendarController.getAuthUrl);
+router.delete('/auth/calendar', auth, requireSession, calendarController.disconnectCalendar);
 
 // Handle both callback URLs for backward compatibility
 // These endpoints don't use auth middleware because we'll authenticate using the state parameter
@@ -13,8 +14,8 @@ router.get('/auth/calendar/callback', calendarController.handleCallback);
 router.get('/auth/google/callback', calendarController.handleCallback);
 
 // Calendar operations
-router.get('/calendar/sync', auth, calendarController.syncCalendar);
-router.get('/calendar/events', auth, calendarController.getCalendarEvents);
-router.get('/calendar/items', auth, calendarController.getCalendarItems);
+router.get('/calendar/sync', auth, requireScope('calendar:read'), calendarController.syncCalendar);
+router.get('/calendar/events', auth, requireScope('calendar:read'), calendarController.getCalendarEvents);
+router.get('/calendar/items', auth, requireScope('calendar:read'), calendarController.getCalendarItems);
 
 module.exports = router;
@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const { cronAuth } = require('../middleware/cronAuth');
+const ctr = require('../controllers/cronController');
+
+// Scheduled jobs (see "crons" in vercel.json). Vercel Cron issues GET requests.
+router.use(cronAuth);
+
+router.get('/purge-accounts', ctr.purgeAccounts);
+router.get('/retry-emails', ctr.retryEmails);
+router.get('/dispatch-reminders', ctr.dispatchReminders);
+router.get('/purge-trash', ctr.purgeTrash);
+
+module.exports = router;
@@ -0,0 +1,62 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const router = express.Router();
+const { auth, requireScope } = require('../middleware/authMiddleware');
+const validate = require('../middleware/validate');
+const labelController = require('../controllers/labelController');
+
+// Lists and tags are part of the reminders data, so they share its token scopes
+router.use(auth);
+
+const idRule = [param('id').isMongoId().withMessage('Invalid label ID')];
+const kindRule = (location) => location('kind').isIn(['list', 'tag']).withMessage('kind must be list or tag');
+const fieldRules = (optional) => [
+  (optional ? body('name').optional() : body('name'))
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Name must be 1-50 characters'),
+  body('color').optional().matches(/^#[0-9a-fA-F]{6}$/).withMessage('color must be a hex color like #4F46E5'),
+  body('icon').optional().isString().trim(),
+  body('sortOrder').optional().isInt().withMessage('sortOrder must be an integer').toInt(),
+];
+
+router.get(
+  '/',
+  requireScope('reminders:read'),
+  [query('kind').optional().isIn(['list', 'tag']).withMessage('kind must be list or tag')],
+  validate,
+  labelController.getLabels
+);
+router.post('/', requireScope('reminders:write'), [kindRule(body), ...fieldRules(false)], validate, labelController.createLabel);
+
+// Registered before "/:id" so "order" is not taken for an id
+router.put(
+  '/order',
+  requireScope('reminders:write'),
+  [
+    kindRule(body),
+    body('order').isArray().withMessage('order must be an array of label IDs'),
+    body('order.*').isMongoId().withMessage('Invalid label ID'),
+  ],
+  validate,
+  labelController.reorderLabels
+);
+
+router.put('/:id', requireScope('reminders:write'), [...idRule, ...fieldRules(true)], validate, labelController.updateLabel);
+router.post(
+  '/:id/merge',
+  requireScope('reminders:write'),
+  [...idRule, body('into').isMongoId().withMessage('into must be a label ID')],
+  validate,
+  labelController.mergeLabel
+);
+router.delete(
+  '/:id',
+  requireScope('reminders:write'),
+  [...idRule, query('moveTo').optional().isMongoId().withMessage('moveTo must be a list ID')],
+  validate,
+  labelController.removeLabel
+);
+
+module.exports = router;
@@ -1,7 +1,7 @@
 const express = require('express');
 const { body } = require('express-validator');
 const router = express.Router();
-const { auth } = require('../middleware/authMiddleware');
+const { auth, requireScope } = require('../middleware/authMiddleware');
 const validate = require('../middleware/validate');
 const locationController = require('../controllers/locationController');
 
@@ -9,6 +9,7 @@ const locationController = require('../controllers/locationController');
 router.post(
   '/permission',
   auth,
+  requireScope('locations:write'),
   [
     body('backgroundGranted').isBoolean().withMessage('backgroundGranted must be boolean')
   ],
@@ -20,6 +21,7 @@ router.post(
 router.post(
   '/scan',
   auth,
+  requireScope('locations:write'),
   [
     body('lat').isFloat({ min: -90, max: 90 }).withMessage('lat invalid'),
     body('lng').isFloat({ min: -180, max: 180 }).withMessage('lng invalid')
@@ -32,6 +34,7 @@ router.post(
 router.post(
   '/directions',
   auth,
+  requireScope('locations:write'),
   [
     body('originLat').isFloat({ min: -90, max: 90 }).withMessage('originLat invalid'),
     body('originLng').isFloat({ min: -180, max: 180 }).withMessage('originLng invalid'),
@@ -1,14 +1,14 @@
 const express = require('express');
 const router = express.Router();
-const { auth } = require('../middleware/authMiddleware');
+const { auth, requireScope } = require('../middleware/authMiddleware');
 const ctr = require('../controllers/notificationController');
 
 // All routes protected
 router.use(auth);
 
-router.get('/', ctr.listNotifications);
-router.post('/', ctr.createNotification);
-router.post('/:id/mark-read', ctr.markRead);
-router.post('/mark-all-read', ctr.markAllRead);
+router.get('/', requireScope('notifications:read'), ctr.listNotifications);
+router.post('/', requireScope('notifications:write'), ctr.createNotification);
+router.post('/:id/mark-read', requireScope('notifications:write'), ctr.markRead);
+router.post('/mark-all-read', requireScope('notifications:write'), ctr.markAllRead);
 
 module.exports = router;
@@ -1,87 +1,292 @@
 const express = require("express");
 const router = express.Router();
-const { body, query, param } = require("express-validator");
+const { body, query, param, validationResult } = require("express-validator");
 const reminderController = require("../controllers/reminderController");
-const { auth } = require("../middleware/authMiddleware");
+const { auth, requireScope, requireVerifiedEmail } = require("../middleware/authMiddleware");
 const validate = require("../middleware/validate");
+const { normalizeRRule, recurrenceStartError, isValidTimeZone } = require("../utils/recurrence");
+const { MAX_ALERTS, alertError } = require("../utils/alerts");
+const { MAX_CHECKLIST_ITEMS } = require("../utils/checklist");
+const { MAX_TAGS_PER_REMINDER } = require("../services/labelService");
+
+// RFC 5545 recurrence ({ rrule, start, tz, exdates }); null clears it on update
+const recurrenceRules = [
+  body("recurrence")
+    .optional({ values: "null" })
+    .isObject()
+    .withMessage("recurrence must be an object")
+    .bail()
+    .custom((value) => !!value.rrule)
+    .withMessage("recurrence.rrule is required"),
+  body("recurrence.rrule")
+    .optional()
+    .custom((value) => {
+      const { error } = normalizeRRule(value);
+      if (error) throw new Error(error);
+      return true;
+    }),
+  body("recurrence.start")
+    .optional()
+    .isISO8601()
+    .withMessage("recurrence.start must be a valid date")
+    .bail()
+    .custom((value) => {
+      const error = recurrenceStartError(value);
+      if (error) throw new Error(error);
+      return true;
+    }),
+  body("recurrence.tz")
+    .optional()
+    .custom((value) => isValidTimeZone(value))
+    .withMessage("recurrence.tz must be an IANA time zone"),
+  body("recurrence.exdates")
+    .optional()
+    .isArray()
+    .withMessage("recurrence.exdates must be an array"),
+  body("recurrence.exdates.*")
+    .isISO8601()
+    .withMessage("recurrence.exdates values must be valid dates"),
+];
+
+// Notification alerts: [{ minutesBefore }] relative to the start, or [{ at }] absolute
+const alertRules = [
+  body("alerts")
+    .optional()
+    .isArray({ max: MAX_ALERTS })
+    .withMessage(`alerts must be an array of at most ${MAX_ALERTS} items`),
+  body("alerts.*").custom((value) => {
+    const error = alertError(value);
+    if (error) throw new Error(error);
+    return true;
+  }),
+  body("notificationPreferenceMinutes")
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage("notificationPreferenceMinutes must be >= 0"),
+];
+
+// Checklist items sent with a new task: [{ title, dueAt?, isCompleted? }]
+const checklistRules = [
+  body("checklist")
+    .optional()
+    .isArray({ max: MAX_CHECKLIST_ITEMS })
+    .withMessage(
+      `checklist must be an array of at most ${MAX_CHECKLIST_ITEMS} items`
+    ),
+  body("checklist.*.title")
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage("Checklist item title must be 1-200 characters"),
+  body("checklist.*.dueAt")
+    .optional({ values: "null" })
+    .isISO8601()
+    .withMessage("Checklist item dueAt must be a valid date"),
+  body("checklist.*.isCompleted")
+    .optional()
+    .isBoolean()
+    .withMessage("Checklist item isCompleted must be a boolean"),
+];
+
+// List and tags (ids of the user's labels, see /api/labels); list: null removes the reminder from its list
+const labelRules = [
+  body("list")
+    .optional({ values: "null" })
+    .isMongoId()
+    .withMessage("list must be a list ID"),
+  body("tags")
+    .optional()
+    .isArray({ max: MAX_TAGS_PER_REMINDER })
+    .withMessage(`tags must be an array of at most ${MAX_TAGS_PER_REMINDER} tag IDs`),
+  body("tags.*").isMongoId().withMessage("Invalid tag ID"),
+];
+
+// Fields of a new reminder (also applied to "create" operations in /batch)
+const createRules = [
+  body("type")
+    .isIn(["Task", "Meeting", "Location"])
+    .withMessage("Type must be one of: Task, Meeting, Location"),
+  body("title").trim().notEmpty().withMessage("Title is required"),
+  body("description").optional().trim(),
+  body("icon").optional().trim(),
+  body("startDate").optional().isISO8601().withMessage("Invalid start date"),
+  body("location")
+    .optional()
+    .isObject()
+    .withMessage("Location must be an object"),
+  body("location.name").optional().trim(),
+  body("location.link")
+    .optional()
+    .isURL()
+    .withMessage("Invalid location URL"),
+  // Location-based fields
+  body("day")
+    .optional()
+    .isIn([
+      "Sunday",
+      "Monday",
+      "Tuesday",
+      "Wednesday",
+      "Thursday",
+      "Friday",
+      "Saturday",
+    ])
+    .withMessage("Invalid day"),
+  body("status")
+    .optional()
+    .isIn(["active", "expired", "completed"])
+    .withMessage("Invalid status"),
+
+  // New scheduling fields
+  body("isManualSchedule")
+    .optional()
+    .isBoolean()
+    .withMessage("isManualSchedule must be a boolean"),
+  body("scheduleType")
+    .optional()
+    .isIn(["one-day", "routine"])
+    .withMessage("scheduleType must be one-day or routine"),
+  body("scheduleTime")
+    .optional()
+    .isObject()
+    .withMessage("scheduleTime must be an object"),
+  body("scheduleTime.minutesBeforeStart")
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage("minutesBeforeStart must be >= 0"),
+  body("scheduleTime.fixedTime")
+    .optional()
+    .matches(/^\d{2}:\d{2}$/)
+    .withMessage("fixedTime must be HH:mm"),
+  body("scheduleDays")
+    .optional()
+    .isArray()
+    .withMessage("scheduleDays must be an array"),
+  body("scheduleDays.*")
+    .optional()
+    .isInt({ min: 0, max: 6 })
+    .withMessage("scheduleDays values must be 0-6"),
+  ...recurrenceRules,
+  ...alertRules,
+  ...checklistRules,
+  ...labelRules,
+];
+
+// Fields of a reminder update (also applied to "update" operations in /batch)
+const updateRules = [
+  body("type")
+    .optional()
+    .isIn(["Task", "Meeting", "Location"])
+    .withMessage("Invalid reminder type"),
+  body("title")
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage("Title cannot be empty"),
+  body("description").optional().trim(),
+  body("icon").optional().trim(),
+  body("startDate").optional().isISO8601().withMessage("Invalid start date"),
+  body("isCompleted")
+    .optional()
+    .isBoolean()
+    .withMessage("isCompleted must be a boolean"),
+  body("location")
+    .optional()
+    .isObject()
+    .withMessage("Location must be an object"),
+  body("location.name").optional().trim(),
+  body("location.link")
+    .optional()
+    .isURL()
+    .withMessage("Invalid location URL"),
+  // New scheduling fields
+  body("isManualSchedule").optional().isBoolean(),
+  body("scheduleType").optional().isIn(["one-day", "routine"]),
+  body("scheduleTime").optional().isObject(),
+  
+  body("scheduleTime.fixedTime")
+    .optional()
+    .matches(/^\d{2}:\d{2}$/),
+  body("scheduleDays").optional().isArray(),
+  body("scheduleDays.*").optional().isInt({ min: 0, max: 6 }),
+  ...recurrenceRules,
+  ...alertRules,
+  ...labelRules,
+];
 
 // Create a new reminder
 router.post(
   "/",
   auth,
+  requireScope("reminders:write"),
+  createRules,
+  validate,
+  reminderController.createReminder
+);
+
+// Apply the single-item rules to each batch operation's data. Failures are kept per item
+// in req.batchErrors (null for valid items) so the rest of the batch can still run.
+const validateBatchOperations = async (req, res, next) => {
+  const rulesFor = { create: createRules, update: updateRules };
+  req.batchErrors = [];
+  for (const operation of req.body.operations) {
+    const rules = rulesFor[operation.op] || [];
+    const item = { body: operation.data || {} };
+    for (const rule of rules) await rule.run(item);
+    // Keep sanitized values (trimmed strings, ...)
+    operation.data = item.body;
+    const errors = validationResult(item);
+    req.batchErrors.push(
+      errors.isEmpty()
+        ? null
+        : errors.array().map((err) => ({ field: err.path, message: err.msg }))
+    );
+  }
+  next();
+};
+
+// Apply several create/update/delete/complete operations in one request
+router.post(
+  "/batch",
+  auth,
+  requireScope("reminders:write"),
   [
-    body("type")
-      .isIn(["Task", "Meeting", "Location"])
-      .withMessage("Type must be one of: Task, Meeting, Location"),
-    body("title").trim().notEmpty().withMessage("Title is required"),
-    body("description").optional().trim(),
-    body("icon").optional().trim(),
-    body("startDate").optional().isISO8601().withMessage("Invalid start date"),
-    body("location")
-      .optional()
-      .isObject()
-      .withMessage("Location must be an object"),
-    body("location.name").optional().trim(),
-    body("location.link")
-      .optional()
-      .isURL()
-      .withMessage("Invalid location URL"),
-    // Location-based fields
-    body("day")
-      .optional()
-      .isIn([
-        "Sunday",
-        "Monday",
-        "Tuesday",
-        "Wednesday",
-        "Thursday",
-        "Friday",
-        "Saturday",
-      ])
-      .withMessage("Invalid day"),
-    body("status")
-      .optional()
-      .isIn(["active", "expired", "completed"])
-      .withMessage("Invalid status"),
-
-    // New scheduling fields
-    body("isManualSchedule")
-      .optional()
-      .isBoolean()
-      .withMessage("isManualSchedule must be a boolean"),
-    body("scheduleType")
-      .optional()
-      .isIn(["one-day", "routine"])
-      .withMessage("scheduleType must be one-day or routine"),
-    body("scheduleTime")
+    body("operations")
+      .isArray({ min: 1, max: 100 })
+      .withMessage("operations must be an array of 1-100 items"),
+    body("operations.*.op")
+      .isIn(["create", "update", "delete", "complete"])
+      .withMessage("op must be one of: create, update, delete, complete"),
+    body("operations.*")
+      .custom(
+        (operation) =>
+          operation?.op === "create" ||
+          /^[a-f\d]{24}$/i.test(String(operation?.id))
+      )
+      .withMessage("Invalid reminder ID"),
+    body("operations.*.data")
       .optional()
       .isObject()
-      .withMessage("scheduleTime must be an object"),
-    body("scheduleTime.minutesBeforeStart")
-      .optional()
-      .isInt({ min: 0 })
-      .withMessage("minutesBeforeStart must be >= 0"),
-    body("scheduleTime.fixedTime")
-      .optional()
-      .matches(/^\d{2}:\d{2}$/)
-      .withMessage("fixedTime must be HH:mm"),
-    body("scheduleDays")
+      .withMessage("data must be an object"),
+    body("operations.*.occursAt")
       .optional()
-      .isArray()
-      .withMessage("scheduleDays must be an array"),
-    body("scheduleDays.*")
+      .isISO8601()
+      .withMessage("occursAt must be a date or date-time"),
+    body("atomic")
       .optional()
-      .isInt({ min: 0, max: 6 })
-      .withMessage("scheduleDays values must be 0-6"),
+      .isBoolean()
+      .withMessage("atomic must be a boolean"),
   ],
   validate,
-  reminderController.createReminder
+  validateBatchOperations,
+  reminderController.batchReminders
 );
 
 // Get all reminders for the authenticated user with optional filtering
 router.get(
   "/",
   auth,
+  requireScope("reminders:read"),
   [
     query("type")
       .optional()
@@ -99,6 +304,14 @@ router.get(
       .optional()
       .isISO8601()
       .withMessage("End date must be a valid date"),
+    query("list")
+      .optional()
+      .custom((value) => value === "none" || /^[a-f\d]{24}$/i.test(value))
+      .withMessage('list must be a list ID or "none"'),
+    query("tag")
+      .optional()
+      .custom((value) => String(value).split(",").every((id) => /^[a-f\d]{24}$/i.test(id.trim())))
+      .withMessage("tag must be a comma-separated list of tag IDs"),
     query("page")
       .optional()
       .isInt({ min: 1 })
@@ -112,48 +325,76 @@ router.get(
   reminderController.getReminders
 );
 
-// Update a reminder
-router.put(
-  "/:id",
+// Expand reminders into concrete occurrences within a date range (defaults to the next 7 days)
+router.get(
+  "/occurrences",
   auth,
+  requireScope("reminders:read"),
   [
-    body("type")
+    query("from")
+      .optional()
+      .isISO8601()
+      .withMessage("from must be a valid date"),
+    query("to")
+      .optional()
+      .isISO8601()
+      .withMessage("to must be a valid date"),
+    query("type")
       .optional()
       .isIn(["Task", "Meeting", "Location"])
-      .withMessage("Invalid reminder type"),
-    body("title")
+      .withMessage("Type must be one of: Task, Meeting, Location"),
+    query("limit")
       .optional()
-      .trim()
-      .notEmpty()
-      .withMessage("Title cannot be empty"),
-    body("description").optional().trim(),
-    body("icon").optional().trim(),
-    body("startDate").optional().isISO8601().withMessage("Invalid start date"),
-    body("isCompleted")
+      .isInt({ min: 1, max: 1000 })
+      .withMessage("Limit must be between 1 and 1000"),
+  ],
+  validate,
+  reminderController.getOccurrences
+);
+
+// Trash: deleted reminders stay here until restored or purged (registered before "/:id")
+router.get(
+  "/trash",
+  auth,
+  requireScope("reminders:read"),
+  [
+    query("page")
       .optional()
-      .isBoolean()
-      .withMessage("isCompleted must be a boolean"),
-    body("location")
+      .isInt({ min: 1 })
+      .withMessage("Page must be a positive integer"),
+    query("limit")
       .optional()
-      .isObject()
-      .withMessage("Location must be an object"),
-    body("location.name").optional().trim(),
-    body("location.link")
-      .optional()
-      .isURL()
-      .withMessage("Invalid location URL"),
-    // New scheduling fields
-    body("isManualSchedule").optional().isBoolean(),
-    body("scheduleType").optional().isIn(["one-day", "routine"]),
-    body("scheduleTime").optional().isObject(),
-    
-    body("scheduleTime.fixedTime")
-      .optional()
-      .matches(/^\d{2}:\d{2}$/),
-    body("scheduleDays").optional().isArray(),
-    body("scheduleDays.*").optional().isInt({ min: 0, max: 6 }),
+      .isInt({ min: 1, max: 100 })
+      .withMessage("Limit must be between 1 and 100"),
   ],
   validate,
+  reminderController.getTrash
+);
+router.post(
+  "/trash/:id/restore",
+  auth,
+  requireScope("reminders:write"),
+  [param("id").isMongoId().withMessage("Invalid reminder ID")],
+  validate,
+  reminderController.restoreTrashedReminder
+);
+router.delete("/trash", auth, requireScope("reminders:write"), reminderController.emptyTrash);
+router.delete(
+  "/trash/:id",
+  auth,
+  requireScope("reminders:write"),
+  [param("id").isMongoId().withMessage("Invalid reminder ID")],
+  validate,
+  reminderController.deleteTrashedReminder
+);
+
+// Update a reminder
+router.put(
+  "/:id",
+  auth,
+  requireScope("reminders:write"),
+  updateRules,
+  validate,
   reminderController.updateReminder
 );
 
@@ -161,18 +402,180 @@ router.put(
 router.get(
   "/:id",
   auth,
+  requireScope("reminders:read"),
   [param("id").isMongoId().withMessage("Invalid reminder ID")],
   validate,
   reminderController.getReminder
 );
 
-// Delete a reminder
-router.delete("/:id", auth, reminderController.deleteReminder);
+// Complete or skip one occurrence of a recurring reminder
+// occursAt: the occurrence instant, or a local day "YYYY-MM-DD"
+const occurrenceRules = [
+  param("id").isMongoId().withMessage("Invalid reminder ID"),
+  body("occursAt")
+    .isISO8601()
+    .withMessage("occursAt must be a date or date-time"),
+];
+
+router.post(
+  "/:id/occurrences/complete",
+  auth,
+  requireScope("reminders:write"),
+  occurrenceRules,
+  validate,
+  reminderController.completeOccurrence
+);
+
+router.post(
+  "/:id/occurrences/skip",
+  auth,
+  requireScope("reminders:write"),
+  occurrenceRules,
+  validate,
+  reminderController.skipOccurrence
+);
+
+// Per-occurrence history of a recurring reminder
+router.get(
+  "/:id/occurrences",
+  auth,
+  requireScope("reminders:read"),
+  [
+    param("id").isMongoId().withMessage("Invalid reminder ID"),
+    query("from")
+      .optional()
+      .isISO8601()
+      .withMessage("from must be a valid date"),
+    query("to")
+      .optional()
+      .isISO8601()
+      .withMessage("to must be a valid date"),
+    query("limit")
+      .optional()
+      .isInt({ min: 1, max: 1000 })
+      .withMessage("Limit must be between 1 and 1000"),
+  ],
+  validate,
+  reminderController.getOccurrenceHistory
+);
+
+// Checklist (subtasks) of a Task
+const checklistItemIdRules = [
+  param("id").isMongoId().withMessage("Invalid reminder ID"),
+  param("itemId").isMongoId().withMessage("Invalid checklist item ID"),
+];
+
+router.post(
+  "/:id/checklist",
+  auth,
+  requireScope("reminders:write"),
+  [
+    param("id").isMongoId().withMessage("Invalid reminder ID"),
+    body("title")
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 200 })
+      .withMessage("Title must be 1-200 characters"),
+    body("dueAt")
+      .optional({ values: "null" })
+      .isISO8601()
+      .withMessage("dueAt must be a valid date"),
+    body("position")
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage("position must be >= 0")
+      .toInt(),
+  ],
+  validate,
+  reminderController.addChecklistItem
+);
+
+// Registered before "/:id/checklist/:itemId" so "order" is not taken for an item id
+router.put(
+  "/:id/checklist/order",
+  auth,
+  requireScope("reminders:write"),
+  [
+    param("id").isMongoId().withMessage("Invalid reminder ID"),
+    body("order").isArray().withMessage("order must be an array of item IDs"),
+    body("order.*").isMongoId().withMessage("Invalid checklist item ID"),
+  ],
+  validate,
+  reminderController.reorderChecklist
+);
+
+router.put(
+  "/:id/checklist/:itemId",
+  auth,
+  requireScope("reminders:write"),
+  [
+    ...checklistItemIdRules,
+    body("title")
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 200 })
+      .withMessage("Title must be 1-200 characters"),
+    body("dueAt")
+      .optional({ values: "null" })
+      .isISO8601()
+      .withMessage("dueAt must be a valid date"),
+    body("isCompleted")
+      .optional()
+      .isBoolean()
+      .withMessage("isCompleted must be a boolean")
+      .toBoolean(),
+  ],
+  validate,
+  reminderController.updateChecklistItem
+);
+
+router.post(
+  "/:id/checklist/:itemId/toggle",
+  auth,
+  requireScope("reminders:write"),
+  checklistItemIdRules,
+  validate,
+  reminderController.toggleChecklistItem
+);
+
+router.delete(
+  "/:id/checklist/:itemId",
+  auth,
+  requireScope("reminders:write"),
+  checklistItemIdRules,
+  validate,
+  reminderController.removeChecklistItem
+);
+
+// Snooze the next notification; duration is minutes, "10 min", "1 hour", "tomorrow morning", ...
+router.post(
+  "/:id/snooze",
+  auth,
+  requireScope("reminders:write"),
+  [
+    param("id").isMongoId().withMessage("Invalid reminder ID"),
+    body("duration")
+      .exists({ values: "falsy" })
+      .withMessage("duration is required"),
+    body("occursAt")
+      .optional()
+      .isISO8601()
+      .withMessage("occursAt must be a valid date"),
+  ],
+  validate,
+  reminderController.snoozeReminder
+);
+
+// Delete a reminder (moves it to the trash)
+router.delete("/:id", auth, requireScope("reminders:write"), reminderController.deleteReminder);
 
 // Stream saved TTS audio for a reminder
 router.get(
   "/:id/tts",
   auth,
+  requireScope("reminders:read"),
+  requireVerifiedEmail("tts"),
   [param("id").isMongoId().withMessage("Invalid reminder ID")],
   validate,
   reminderController.getReminderTTS
@@ -182,6 +585,8 @@ router.get(
 router.post(
   "/:id/tts/ensure",
   auth,
+  requireScope("reminders:write"),
+  requireVerifiedEmail("tts"),
   [param("id").isMongoId().withMessage("Invalid reminder ID")],
   validate,
   reminderController.ensureReminderTTSNow
@@ -0,0 +1,31 @@
+const express = require('express');
+const { query } = require('express-validator');
+const router = express.Router();
+const { auth } = require('../middleware/authMiddleware');
+const validate = require('../middleware/validate');
+const searchController = require('../controllers/searchController');
+const { SEARCH_TYPES } = require('../services/searchService');
+
+// Scopes are checked per result type in the controller
+router.get(
+  '/',
+  auth,
+  [
+    query('q').isString().trim().isLength({ min: 1, max: 200 }).withMessage('q must be 1-200 characters'),
+    query('types')
+      .optional()
+      .custom(value => String(value).split(',').every(t => SEARCH_TYPES.includes(t.trim())))
+      .withMessage(`types must be a comma-separated list of: ${SEARCH_TYPES.join(', ')}`),
+    query('reminderType')
+      .optional()
+      .isIn(['Task', 'Meeting', 'Location'])
+      .withMessage('reminderType must be one of: Task, Meeting, Location'),
+    query('from').optional().isISO8601().withMessage('from must be a valid date'),
+    query('to').optional().isISO8601().withMessage('to must be a valid date'),
+    query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('limit must be between 1 and 50'),
+  ],
+  validate,
+  searchController.search
+);
+
+module.exports = router;
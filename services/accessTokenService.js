@@ -0,0 +1,70 @@
+const crypto = require('crypto');
+const AccessToken = require('../models/accessTokenModel');
+const { hashToken } = require('../utils/generateToken');
+const { requestContext } = require('./auditService');
+
+const TOKEN_PREFIX = 'bpat_';
+const DEFAULT_EXPIRY_DAYS = 90;
+const MAX_EXPIRY_DAYS = 365;
+const MAX_TOKENS_PER_USER = 20;
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+function isAccessToken(token) {
+  return typeof token === 'string' && token.startsWith(TOKEN_PREFIX);
+}
+
+// Create a token; the raw value is returned only here
+async function createAccessToken(userId, { name, scopes, expiresInDays = DEFAULT_EXPIRY_DAYS }) {
+  const active = await AccessToken.countDocuments({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } });
+  if (active >= MAX_TOKENS_PER_USER) {
+    const err = new Error(`You can have at most ${MAX_TOKENS_PER_USER} active tokens`);
+    err.statusCode = 400;
+    throw err;
+  }
+  const days = Math.min(Math.max(parseInt(expiresInDays, 10) || DEFAULT_EXPIRY_DAYS, 1), MAX_EXPIRY_DAYS);
+  const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  const doc = await AccessToken.create({
+    user: userId,
+    name,
+    scopes: [...new Set(scopes)],
+    tokenHash: hashToken(token),
+    prefix: token.slice(0, TOKEN_PREFIX.length + 6),
+    expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000)
+  });
+  return { token, accessToken: doc };
+}
+
+// Active token document for a raw "bpat_" token, or null
+async function verifyAccessToken(token) {
+  if (!isAccessToken(token)) return null;
+  const doc = await AccessToken.findOne({ tokenHash: hashToken(token) });
+  return doc && doc.isActive() ? doc : null;
+}
+
+// Record last use, at most once a minute per token
+async function touchAccessToken(doc, req) {
+  if (doc.lastUsedAt && Date.now() - doc.lastUsedAt.getTime() < TOUCH_INTERVAL_MS) return;
+  await AccessToken.updateOne(
+    { _id: doc._id },
+    { $set: { lastUsedAt: new Date(), lastUsedIp: requestContext(req).ip } }
+  );
+}
+
+function listAccessTokens(userId) {
+  return AccessToken.find({ user: userId, revokedAt: null }).sort({ createdAt: -1 });
+}
+
+function revokeAccessToken(id, userId) {
+  return AccessToken.updateOne({ _id: id, user: userId, revokedAt: null }, { $set: { revokedAt: new Date() } });
+}
+
+module.exports = {
+  TOKEN_PREFIX,
+  MAX_EXPIRY_DAYS,
+  isAccessToken,
+  createAccessToken,
+  verifyAccessToken,
+  touchAccessToken,
+  listAccessTokens,
+  revokeAccessToken,
+};
@@ -0,0 +1,176 @@
+const User = require('../models/userModel');
+const Reminder = require('../models/reminderModel');
+const Notification = require('../models/notificationModel');
+const Conversation = require('../models/Conversation');
+const Calendar = require('../models/calendarModel');
+const Session = require('../models/sessionModel');
+const EmailLog = require('../models/emailLogModel');
+const AccessToken = require('../models/accessTokenModel');
+const ReminderOccurrence = require('../models/reminderOccurrenceModel');
+const Label = require('../models/labelModel');
+const AuditLog = require('../models/auditLogModel');
+const { deleteVariants } = require('./avatarService');
+const { clearAccountFailures } = require('./loginProtectionService');
+
+function deletionGraceMs() {
+  const days = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS || '30', 10);
+  return (Number.isFinite(days) && days >= 0 ? days : 30) * 24 * 60 * 60 * 1000;
+}
+
+// Everything we hold about a user, as plain JSON. Secrets (password/OTP hashes, OAuth
+// tokens, refresh token hashes) and raw TTS audio are left out; TTS metadata is kept.
+async function buildUserExport(userId) {
+  const [user, reminders, notifications, conversations, calendar, sessions, occurrences, labels] = await Promise.all([
+    User.findById(userId).lean(),
+    // Trashed reminders are still the user's data
+    Reminder.find({ user: userId }).setOptions({ withDeleted: true }).select('-tts.audio.data').sort({ createdAt: 1 }).lean(),
+    Notification.find({ userId }).sort({ createdAt: 1 }).lean(),
+    Conversation.find({ userId }).lean(),
+    Calendar.findOne({ user: userId }).select('-accessToken -refreshToken').lean(),
+    Session.find({ user: userId }).sort({ createdAt: 1 }).lean(),
+    ReminderOccurrence.find({ user: userId }).sort({ occursAt: 1 }).lean(),
+    Label.find({ user: userId }).sort({ kind: 1, sortOrder: 1 }).lean(),
+  ]);
+  if (!user) return null;
+
+  return {
+    exportedAt: new Date().toISOString(),
+    profile: {
+      id: user._id,
+      fullname: user.fullname,
+      email: user.email,
+      emailVerified: user.emailVerified !== false,
+      phone: user.phone || '',
+      profilePicture: user.profilePicture,
+      role: user.role,
+      locationPermissions: user.locationPermissions,
+      twoFactorEnabled: !!user.twoFactor?.enabled,
+      createdAt: user.createdAt,
+      updatedAt: user.updatedAt,
+    },
+    reminders: reminders.map(r => ({
+      ...r,
+      tts: r.tts ? {
+        voiceId: r.tts.voiceId,
+        textHash: r.tts.textHash,
+        status: r.tts.status,
+        generatedAt: r.tts.generatedAt,
+        contentType: r.tts.audio?.contentType,
+        size: r.tts.audio?.size,
+      } : undefined,
+    })),
+    labels: labels.map(l => ({
+      id: l._id,
+      kind: l.kind,
+      name: l.name,
+      color: l.color,
+      icon: l.icon,
+      sortOrder: l.sortOrder,
+    })),
+    reminderOccurrences: occurrences.map(o => ({
+      reminderId: o.reminder,
+      occursAt: o.occursAt,
+      status: o.status,
+      recordedAt: o.recordedAt,
+    })),
+    notifications,
+    conversations: conversations.map(c => ({
+      id: c._id,
+      messages: c.messages,
+      createdAt: c.createdAt,
+      updatedAt: c.updatedAt,
+    })),
+    calendar: calendar ? {
+      events: calendar.events,
+      tasks: calendar.tasks,
+      lastSynced: calendar.lastSynced,
+    } : null,
+    sessions: sessions.map(s => ({
+      deviceName: s.deviceName,
+      platform: s.platform,
+      ip: s.ip,
+      userAgent: s.userAgent,
+      createdAt: s.createdAt,
+      lastSeenAt: s.lastSeenAt,
+      revokedAt: s.revokedAt,
+    })),
+  };
+}
+
+// The audit log is append-only, so a purged user's events are kept but stripped of
+// everything that identifies them. Events they performed on other accounts keep their target.
+// Returns the number of events anonymized.
+async function anonymizeAuditTrail(userId, email) {
+  const concerning = [{ targetUser: userId }];
+  if (email) concerning.push({ 'metadata.email': email });
+  const own = await AuditLog.updateMany(
+    { $or: concerning },
+    { $unset: { actor: 1, targetUser: 1, metadata: 1, ip: 1, userAgent: 1 } }
+  );
+  const performed = await AuditLog.updateMany(
+    { actor: userId },
+    { $unset: { actor: 1, ip: 1, userAgent: 1 } }
+  );
+  return (own.modifiedCount || 0) + (performed.modifiedCount || 0);
+}
+
+// Permanently remove a user and every document that belongs to them
+async function purgeAccount(userId) {
+  const owner = await User.findOne({ _id: userId, active: { $in: [true, false] } }).select('avatar email').lean();
+  if (owner?.avatar?.id) {
+    await deleteVariants(owner.avatar.id).catch(e => console.warn('[account] avatar cleanup failed', e?.message));
+  }
+  const [
+    reminders, notifications, conversations, calendars, sessions, emails, accessTokens, occurrences, labels,
+  ] = await Promise.all([
+    Reminder.deleteMany({ user: userId }),
+    Notification.deleteMany({ userId }),
+    Conversation.deleteMany({ userId }),
+    Calendar.deleteMany({ user: userId }),
+    Session.deleteMany({ user: userId }),
+    EmailLog.deleteMany({ user: userId }),
+    AccessToken.deleteMany({ user: userId }),
+    ReminderOccurrence.deleteMany({ user: userId }),
+    Label.deleteMany({ user: userId }),
+  ]);
+  const auditEvents = await anonymizeAuditTrail(userId, owner?.email);
+  if (owner?.email) await clearAccountFailures(owner.email);
+  await User.deleteOne({ _id: userId });
+  const summary = {
+    reminders: reminders.deletedCount || 0,
+    notifications: notifications.deletedCount || 0,
+    conversations: conversations.deletedCount || 0,
+    calendars: calendars.deletedCount || 0,
+    sessions: sessions.deletedCount || 0,
+    emails: emails.deletedCount || 0,
+    accessTokens: accessTokens.deletedCount || 0,
+    occurrences: occurrences.deletedCount || 0,
+    labels: labels.deletedCount || 0,
+    auditEvents,
+  };
+  console.log('[account] purged', { userId: String(userId), ...summary });
+  return summary;
+}
+
+// Purge every account whose deletion grace period has elapsed
+async function purgeDueAccounts(now = new Date()) {
+  // Include deactivated accounts: the userModel find hook would otherwise hide them
+  const due = await User.find({ deletionScheduledFor: { $lte: now }, active: { $in: [true, false] } }).select('_id').lean();
+  const purged = [];
+  for (const u of due) {
+    try {
+      await purgeAccount(u._id);
+      purged.push(String(u._id));
+    } catch (e) {
+      console.error('[account] purge failed', { userId: String(u._id), error: e?.message });
+    }
+  }
+  return { due: due.length, purged: purged.length };
+}
+
+module.exports = {
+  deletionGraceMs,
+  buildUserExport,
+  purgeAccount,
+  purgeDueAccounts,
+};
@@ -1,5 +1,6 @@
 const Reminder = require('../models/reminderModel');
 const { buildNotificationText, ensureReminderTTS } = require('../utils/ttsService');
+const { recurrenceFromLegacy } = require('../utils/recurrence');
 let gemini;
 try { gemini = require('./geminiService'); } catch (e) {
   console.warn('[ai] gemini service module failed to load; falling back if needed', e?.message);
@@ -28,7 +29,7 @@ async function findSmartSlot({ userId, now = new Date() }) {
 
 // Background processing for a reminder: smart schedule + human-friendly line + TTS
 async function processBackgroundAI(reminderId, { user }) {
-  const rem = await Reminder.findById(reminderId).populate('user', 'fullname');
+  const rem = await Reminder.findById(reminderId).populate('user', 'fullname timezone');
   if (!rem) return null;
 
   // Smart scheduling for Column B (unscheduled Tasks only; Meetings are manual-only)
@@ -87,6 +88,11 @@ async function processBackgroundAI(reminderId, { user }) {
         rem.notificationPreferenceMinutes = pref;
       }
       rem.aiSuggested = true;
+      rem.aiScheduleSource = scheduleSource || undefined;
+      // Routines suggested by the AI are stored as a recurrence rule too
+      if (!rem.recurrence || rem.recurrence.derived) {
+        rem.recurrence = recurrenceFromLegacy(rem, rem.user?.timezone) || undefined;
+      }
       // final applied schedule log
       console.log('[ai] schedule applied', {
         reminderId: String(rem._id),
@@ -0,0 +1,70 @@
+const AuditLog = require('../models/auditLogModel');
+
+// Recorded actions
+const ACTIONS = {
+  LOGIN: 'auth.login',                       // password login (success/failure)
+  LOGIN_2FA: 'auth.login.2fa',               // second factor step
+  LOGIN_PROVIDER: 'auth.login.provider',     // Google / OIDC sign-in
+  LOGIN_PHONE: 'auth.login.phone',           // passwordless SMS code sign-in
+  LOGIN_MAGIC_LINK: 'auth.login.magic_link', // passwordless email link sign-in
+  PHONE_VERIFY: 'auth.phone.verify',
+  OTP_SEND: 'auth.otp.send',                 // password-reset or verification code sent
+  OTP_VERIFY: 'auth.otp.verify',             // code verification attempt
+  ACCOUNT_LOCK: 'auth.account.lock',         // too many failed logins
+  ACCOUNT_UNLOCK: 'auth.account.unlock',
+  PASSWORD_CHANGE: 'auth.password.change',
+  PASSWORD_RESET: 'auth.password.reset',
+  PASSWORD_SET: 'auth.password.set',
+  TWO_FACTOR_ENABLE: 'auth.2fa.enable',
+  TWO_FACTOR_DISABLE: 'auth.2fa.disable',
+  CALENDAR_CONNECT: 'calendar.connect',
+  CALENDAR_DISCONNECT: 'calendar.disconnect',
+  ADMIN_USER_DEACTIVATE: 'admin.user.deactivate',
+  ADMIN_USER_REACTIVATE: 'admin.user.reactivate',
+  ADMIN_FORCE_PASSWORD_RESET: 'admin.user.force_password_reset',
+};
+
+function requestContext(req) {
+  if (!req) return {};
+  const forwarded = req.headers?.['x-forwarded-for'];
+  return {
+    ip: (forwarded ? String(forwarded).split(',')[0].trim() : req.ip) || '',
+    userAgent: String(req.headers?.['user-agent'] || '').slice(0, 300),
+  };
+}
+
+// Record an audit entry. Never throws: failing to audit must not fail the action itself.
+async function record({ action, actor, targetUser, success = true, metadata, req }) {
+  try {
+    return await AuditLog.create({
+      action,
+      actor: actor || req?.user?._id,
+      targetUser,
+      success,
+      metadata,
+      ...requestContext(req),
+    });
+  } catch (e) {
+    console.error('[audit] failed to record', action, e?.message);
+    return null;
+  }
+}
+
+// Shorthand for events a user performs on (or that concern) their own account
+function recordSecurityEvent(req, action, { user, success = true, metadata } = {}) {
+  const userId = user?._id || user || req?.user?._id;
+  return record({ action, actor: success ? userId : undefined, targetUser: userId, success, metadata, req });
+}
+
+// Paginated query used by both the user-facing and the admin endpoints
+async function queryEvents(filter, { page = 1, limit = 50 } = {}) {
+  const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+  const limitNum = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 100);
+  const [items, total] = await Promise.all([
+    AuditLog.find(filter).sort({ createdAt: -1 }).skip((pageNum - 1) * limitNum).limit(limitNum).lean(),
+    AuditLog.countDocuments(filter),
+  ]);
+  return { items, total, page: pageNum, limit: limitNum };
+}
+
+module.exports = { ACTIONS, record, recordSecurityEvent, queryEvents, requestContext };
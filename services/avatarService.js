@@ -0,0 +1,114 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const sharp = require('sharp');
+const AppError = require('../utils/appError');
+const { getAvatarStorage } = require('./avatarStorage');
+
+// Profile pictures. Each upload is resized into a few square WebP variants stored under
+// "<id>-<size>.webp", where <id> is 128 random bits: the serving URL is public but unguessable,
+// and a new upload gets a new id (so the URLs can be cached forever).
+
+const SIZES = { sm: 64, md: 256, lg: 512 };
+const MAX_BYTES = 5 * 1024 * 1024;
+const ALLOWED_FORMATS = ['jpeg', 'png', 'webp'];
+const ALLOWED_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+const KEY_PATTERN = /^[a-f0-9]{32}-(sm|md|lg)\.webp$/;
+
+function avatarUrl(id, size = 'md') {
+  return `${process.env.PUBLIC_BASE_URL || ''}/api/avatars/${id}-${size}.webp`;
+}
+
+// { sm, md, lg } URLs for the user's uploaded avatar, or null
+function avatarUrls(user) {
+  const id = user?.avatar?.id;
+  if (!id) return null;
+  return Object.fromEntries(Object.keys(SIZES).map(size => [size, avatarUrl(id, size)]));
+}
+
+// Decode the image (the declared MIME type is not trusted) and render every size
+async function renderVariants(buffer) {
+  let meta;
+  try {
+    meta = await sharp(buffer, { limitInputPixels: 40e6 }).metadata();
+  } catch {
+    throw new AppError('File is not a supported image', 400);
+  }
+  if (!ALLOWED_FORMATS.includes(meta.format)) {
+    throw new AppError('Only JPEG, PNG and WebP images are supported', 400);
+  }
+  return Promise.all(Object.entries(SIZES).map(async ([size, px]) => ({
+    size,
+    buffer: await sharp(buffer, { limitInputPixels: 40e6 })
+      .rotate() // honour EXIF orientation before stripping metadata
+      .resize(px, px, { fit: 'cover' })
+      .webp({ quality: 82 })
+      .toBuffer(),
+  })));
+}
+
+async function deleteVariants(id) {
+  const storage = getAvatarStorage();
+  await Promise.all(Object.keys(SIZES).map(size => storage.remove(`${id}-${size}.webp`)));
+}
+
+// Store a new avatar for the user (replacing the previous one) and return its URLs
+async function saveAvatar(user, buffer) {
+  const variants = await renderVariants(buffer);
+  const id = crypto.randomBytes(16).toString('hex');
+  const storage = getAvatarStorage();
+  await Promise.all(variants.map(v => storage.put(`${id}-${v.size}.webp`, v.buffer, 'image/webp')));
+
+  const previous = user.avatar?.id;
+  user.avatar = { id, updatedAt: new Date() };
+  user.profilePicture = avatarUrl(id);
+  await user.save();
+
+  if (previous) {
+    deleteVariants(previous).catch(e => console.warn('[avatar] failed to delete previous avatar', e?.message));
+  }
+  return avatarUrls(user);
+}
+
+async function removeAvatar(user) {
+  const id = user.avatar?.id;
+  if (!id) return false;
+  user.avatar = undefined;
+  user.profilePicture = 'default.jpg';
+  await user.save();
+  await deleteVariants(id);
+  return true;
+}
+
+// Copy a remote picture (e.g. the Google profile photo) into the avatar store.
+// `timeout` bounds the whole download in milliseconds.
+async function importAvatarFromUrl(user, url, { timeout = 5000 } = {}) {
+  if (!/^https:\/\//i.test(String(url || ''))) throw new AppError('Picture URL must use https', 400);
+  const response = await axios.get(url, {
+    responseType: 'arraybuffer',
+    timeout,
+    signal: AbortSignal.timeout(timeout),
+    maxContentLength: MAX_BYTES,
+    maxRedirects: 3,
+  });
+  const type = String(response.headers['content-type'] || '').split(';')[0].trim();
+  if (type && !type.startsWith('image/')) throw new AppError('Picture URL did not return an image', 400);
+  return saveAvatar(user, Buffer.from(response.data));
+}
+
+// Stored object for a public avatar key, or null (invalid keys never reach the backend)
+async function openAvatar(key) {
+  if (!KEY_PATTERN.test(String(key))) return null;
+  return getAvatarStorage().get(key);
+}
+
+module.exports = {
+  SIZES,
+  MAX_BYTES,
+  ALLOWED_MIME_TYPES,
+  avatarUrls,
+  saveAvatar,
+  removeAvatar,
+  deleteVariants,
+  importAvatarFromUrl,
+  openAvatar,
+};
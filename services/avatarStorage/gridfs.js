@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// Stores avatars in MongoDB GridFS (bucket "avatars"). Works on serverless hosts where the
+// local disk is ephemeral.
+function createGridfsStorage() {
+  let bucket = null;
+  const getBucket = () => {
+    if (!bucket) {
+      const { db } = mongoose.connection;
+      if (!db) throw new Error('Database is not connected');
+      bucket = new mongoose.mongo.GridFSBucket(db, { bucketName: 'avatars' });
+    }
+    return bucket;
+  };
+
+  async function remove(key) {
+    const files = await getBucket().find({ filename: key }).toArray();
+    await Promise.all(files.map(f => getBucket().delete(f._id)));
+  }
+
+  return {
+    name: 'gridfs',
+    async put(key, buffer, contentType) {
+      await remove(key);
+      await new Promise((resolve, reject) => {
+        const upload = getBucket().openUploadStream(key, { metadata: { contentType } });
+        upload.once('finish', resolve);
+        upload.once('error', reject);
+        upload.end(buffer);
+      });
+    },
+    // -> { stream, contentType, size } or null
+    async get(key) {
+      const [file] = await getBucket().find({ filename: key }).limit(1).toArray();
+      if (!file) return null;
+      return {
+        stream: getBucket().openDownloadStream(file._id),
+        contentType: file.metadata?.contentType || 'application/octet-stream',
+        size: file.length,
+      };
+    },
+    remove,
+  };
+}
+
+module.exports = { createGridfsStorage };
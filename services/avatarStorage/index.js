@@ -0,0 +1,25 @@
+const { createGridfsStorage } = require('./gridfs');
+const { createLocalStorage } = require('./local');
+
+// Avatar storage backends. AVATAR_STORAGE selects one of: gridfs (default), local.
+// Each backend implements:
+//   put(key, buffer, contentType)
+//   get(key) -> { stream, contentType, size } | null
+//   remove(key)
+const FACTORIES = {
+  gridfs: createGridfsStorage,
+  local: createLocalStorage,
+};
+
+let cached = null;
+
+function getAvatarStorage() {
+  const name = String(process.env.AVATAR_STORAGE || 'gridfs').toLowerCase();
+  if (cached && cached.name === name) return cached;
+  const factory = FACTORIES[name];
+  if (!factory) throw new Error(`Unknown AVATAR_STORAGE: ${name}`);
+  cached = factory();
+  return cached;
+}
+
+module.exports = { getAvatarStorage };
@@ -0,0 +1,42 @@
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+
+const CONTENT_TYPES = { '.webp': 'image/webp', '.jpg': 'image/jpeg', '.png': 'image/png' };
+
+// Stores avatars as files under AVATAR_DIR (default uploads/avatars, /tmp/avatars on Vercel).
+// Meant for local development and single-server deployments.
+function createLocalStorage() {
+  const dir = process.env.AVATAR_DIR
+    || (process.env.VERCEL ? '/tmp/avatars' : path.join(__dirname, '../../uploads/avatars'));
+  // Keys are generated by avatarService; basename() is a guard against path traversal
+  const fileFor = key => path.join(dir, path.basename(key));
+
+  return {
+    name: 'local',
+    async put(key, buffer) {
+      await fsp.mkdir(dir, { recursive: true });
+      await fsp.writeFile(fileFor(key), buffer);
+    },
+    async get(key) {
+      const file = fileFor(key);
+      let stat;
+      try {
+        stat = await fsp.stat(file);
+      } catch (e) {
+        if (e.code === 'ENOENT') return null;
+        throw e;
+      }
+      return {
+        stream: fs.createReadStream(file),
+        contentType: CONTENT_TYPES[path.extname(file)] || 'application/octet-stream',
+        size: stat.size,
+      };
+    },
+    async remove(key) {
+      await fsp.rm(fileFor(key), { force: true });
+    },
+  };
+}
+
+module.exports = { createLocalStorage };
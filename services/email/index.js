@@ -0,0 +1,137 @@
+const EmailLog = require('../../models/emailLogModel');
+const { getTransport } = require('./transports');
+const { renderTemplate, resolveLocale, SENSITIVE } = require('./templates');
+
+// Email service: render a named template for the recipient's locale, deliver it through the
+// configured transport and keep a send log (models/emailLogModel).
+//
+// Delivery: sensitive templates (codes, reset links) are retried a few times in-process and
+// then marked failed; their variables are never stored. Other templates get one attempt now
+// and are retried with backoff by the /api/cron/retry-emails job until maxAttempts.
+
+const RETRY_BASE_MS = 5 * 60 * 1000;
+const INLINE_RETRY_DELAYS_MS = [250, 1000];
+
+function maxAttempts() {
+  const n = parseInt(process.env.EMAIL_MAX_ATTEMPTS || '3', 10);
+  return Number.isFinite(n) && n > 0 ? n : 3;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// One delivery attempt; updates the log either way. Returns true when sent.
+async function attempt(log, rendered) {
+  let transport;
+  try {
+    transport = getTransport();
+    const { messageId } = await transport.send({
+      from: process.env.EMAIL_FROM || transport.defaultFrom,
+      to: log.to,
+      subject: rendered.subject,
+      text: rendered.text,
+      html: rendered.html,
+    });
+    log.set({ status: 'sent', messageId, sentAt: new Date(), lastError: undefined, nextAttemptAt: undefined, payload: undefined });
+    return true;
+  } catch (e) {
+    log.lastError = String(e?.message || e).slice(0, 500);
+    return false;
+  } finally {
+    log.attempts += 1;
+    log.transport = transport?.name;
+    await log.save().catch(e => console.error('[email] failed to update send log', e?.message));
+  }
+}
+
+function scheduleRetry(log) {
+  if (log.payload && log.attempts < log.maxAttempts) {
+    log.status = 'queued';
+    log.nextAttemptAt = new Date(Date.now() + RETRY_BASE_MS * 2 ** (log.attempts - 1));
+  } else {
+    log.status = 'failed';
+    log.nextAttemptAt = undefined;
+    log.payload = undefined;
+  }
+}
+
+/**
+ * Send a templated email.
+ * @param {string} template  template name (see services/email/templates)
+ * @param {object} options
+ * @param {object} [options.user]    recipient user document; supplies to/locale/name defaults
+ * @param {string} [options.to]      recipient address (defaults to user.email)
+ * @param {string} [options.locale]  overrides user.locale
+ * @param {object} [options.vars]    template variables
+ * @returns {Promise<EmailLog>} the send log entry
+ * Throws when a sensitive email could not be delivered (the caller has nothing to retry with).
+ */
+async function sendTemplate(template, { user, to, locale, vars = {} } = {}) {
+  const recipient = to || user?.email;
+  if (!recipient) throw new Error('Email recipient is required');
+  const fullVars = { name: user?.fullname || '', ...vars };
+  const rendered = renderTemplate(template, fullVars, locale || user?.locale);
+  const sensitive = SENSITIVE.has(template);
+
+  const log = await EmailLog.create({
+    user: user?._id,
+    to: recipient,
+    template,
+    locale: rendered.locale,
+    subject: rendered.subject,
+    maxAttempts: maxAttempts(),
+    payload: sensitive ? undefined : fullVars,
+  });
+
+  if (await attempt(log, rendered)) return log;
+
+  if (sensitive) {
+    for (const delay of INLINE_RETRY_DELAYS_MS.slice(0, log.maxAttempts - 1)) {
+      await sleep(delay);
+      if (await attempt(log, rendered)) return log;
+    }
+  }
+
+  scheduleRetry(log);
+  await log.save();
+  console.error('[email] send failed', { template, to: recipient, attempts: log.attempts, status: log.status, error: log.lastError });
+  if (log.status === 'failed') throw new Error(`Email delivery failed: ${log.lastError}`);
+  return log;
+}
+
+// Retry queued emails whose backoff has elapsed (called from the cron route)
+async function retryQueuedEmails({ limit = 50, now = new Date() } = {}) {
+  const due = await EmailLog.find({ status: 'queued', nextAttemptAt: { $lte: now } })
+    .select('+payload')
+    .sort({ nextAttemptAt: 1 })
+    .limit(limit);
+
+  let sent = 0;
+  let failed = 0;
+  for (const log of due) {
+    let rendered;
+    try {
+      rendered = renderTemplate(log.template, log.payload || {}, log.locale);
+    } catch (e) {
+      log.set({ status: 'failed', lastError: e.message, nextAttemptAt: undefined, payload: undefined });
+      await log.save();
+      failed += 1;
+      continue;
+    }
+    if (await attempt(log, rendered)) {
+      sent += 1;
+      continue;
+    }
+    scheduleRetry(log);
+    await log.save();
+    if (log.status === 'failed') failed += 1;
+  }
+  return { due: due.length, sent, failed };
+}
+
+module.exports = {
+  sendTemplate,
+  retryQueuedEmails,
+  resolveLocale,
+};
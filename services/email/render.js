@@ -0,0 +1,54 @@
+// Minimal mustache-style renderer used by the email templates:
+//   {{name}}            value (HTML-escaped when rendering HTML)
+//   {{{name}}}          raw value
+//   {{#items}}..{{/items}}  repeat for each array element (element fields are in scope),
+//                       or render once when the value is truthy
+//   {{^items}}..{{/items}}  render when the value is empty/falsy
+// Dotted names (user.fullname) are resolved against the current scope.
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function lookup(scope, name) {
+  if (name === '.') return scope['.'];
+  return name.split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), scope);
+}
+
+function isEmpty(value) {
+  return !value || (Array.isArray(value) && value.length === 0);
+}
+
+// Sections, raw and escaped values are matched in a single left-to-right pass, so text
+// that came from a value is never scanned again (a "{{x}}" inside a value stays literal).
+const TAG_PATTERN = new RegExp([
+  /\{\{([#^])\s*([\w.]+)\s*\}\}([\s\S]*?)\{\{\/\s*\2\s*\}\}/.source,
+  /\{\{\{\s*([\w.]+)\s*\}\}\}/.source,
+  /\{\{\s*([\w.]+)\s*\}\}/.source,
+].join('|'), 'g');
+
+function render(template, vars = {}, { html = false } = {}) {
+  return String(template || '').replace(TAG_PATTERN, (match, kind, section, inner, raw, name) => {
+    if (kind) {
+      const value = lookup(vars, section);
+      if (kind === '^') return isEmpty(value) ? render(inner, vars, { html }) : '';
+      if (isEmpty(value)) return '';
+      if (Array.isArray(value)) {
+        return value
+          .map(item => render(inner, { ...vars, ...(item && typeof item === 'object' ? item : {}), '.': item }, { html }))
+          .join('');
+      }
+      return render(inner, vars, { html });
+    }
+    const value = lookup(vars, raw || name);
+    if (value == null) return '';
+    return html && !raw ? escapeHtml(value) : String(value);
+  });
+}
+
+module.exports = { render, escapeHtml };
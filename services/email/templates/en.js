@@ -0,0 +1,107 @@
+// English templates. Every template has a subject, a plain-text body and an HTML body;
+// the HTML body is wrapped in the shared layout (see ./index.js).
+module.exports = {
+  otp: {
+    subject: 'Your Beela code',
+    text: [
+      'Hi {{name}},',
+      '',
+      'Your Beela password reset code is: {{otp}}',
+      'This code will expire in {{minutes}} minutes.',
+      '',
+      "If you didn't ask for this, you can ignore this email.",
+    ].join('\n'),
+    html: [
+      '<p>Hi {{name}},</p>',
+      '<p>Your Beela password reset code is: <b>{{otp}}</b></p>',
+      '<p>This code will expire in {{minutes}} minutes.</p>',
+      "<p>If you didn't ask for this, you can ignore this email.</p>",
+    ].join('\n'),
+  },
+
+  reset_link: {
+    subject: 'Reset your Beela password',
+    text: [
+      'Hi {{name}},',
+      '',
+      'Open this link to reset your password:',
+      '{{resetUrl}}',
+      '',
+      'The link expires in {{minutes}} minutes.',
+    ].join('\n'),
+    html: [
+      '<p>Hi {{name}},</p>',
+      '<p>Click <a href="{{resetUrl}}">here</a> to reset your password.</p>',
+      '<p>The link expires in {{minutes}} minutes.</p>',
+    ].join('\n'),
+  },
+
+  verification: {
+    subject: 'Verify your email',
+    text: [
+      'Hi {{name}},',
+      '',
+      'Your Beela email verification code is: {{otp}}',
+      'This code will expire in {{minutes}} minutes.',
+    ].join('\n'),
+    html: [
+      '<p>Hi {{name}},</p>',
+      '<p>Your Beela email verification code is: <b>{{otp}}</b></p>',
+      '<p>This code will expire in {{minutes}} minutes.</p>',
+    ].join('\n'),
+  },
+
+  magic_link: {
+    subject: 'Sign in to Beela',
+    text: [
+      'Hi {{name}},',
+      '',
+      'Open this link to sign in to Beela:',
+      '{{loginUrl}}',
+      '',
+      'The link works once and expires in {{minutes}} minutes.',
+      "If you didn't ask for this, you can ignore this email.",
+    ].join('\n'),
+    html: [
+      '<p>Hi {{name}},</p>',
+      '<p><a href="{{loginUrl}}">Sign in to Beela</a></p>',
+      '<p>The link works once and expires in {{minutes}} minutes.</p>',
+      "<p>If you didn't ask for this, you can ignore this email.</p>",
+    ].join('\n'),
+  },
+
+  account_unlock: {
+    subject: 'Your Beela account was locked',
+    text: [
+      'Hi {{name}},',
+      '',
+      'We locked your account for {{minutes}} minutes after several failed sign-in attempts.',
+      'If this was you, open this link to unlock it now:',
+      '{{unlockUrl}}',
+      '',
+      "If it wasn't you, consider changing your password.",
+    ].join('\n'),
+    html: [
+      '<p>Hi {{name}},</p>',
+      '<p>We locked your account for {{minutes}} minutes after several failed sign-in attempts.</p>',
+      '<p>If this was you, click <a href="{{unlockUrl}}">here</a> to unlock it now.</p>',
+      "<p>If it wasn't you, consider changing your password.</p>",
+    ].join('\n'),
+  },
+
+  digest: {
+    subject: 'Your reminders for {{date}}',
+    text: [
+      'Hi {{name}},',
+      '',
+      "Here's what's coming up on {{date}}:",
+      '{{#items}}- {{title}} ({{when}})\n{{/items}}{{^items}}Nothing scheduled. Enjoy your day!\n{{/items}}',
+    ].join('\n'),
+    html: [
+      '<p>Hi {{name}},</p>',
+      "<p>Here's what's coming up on {{date}}:</p>",
+      '{{#items.length}}<ul>{{#items}}<li><b>{{title}}</b> &middot; {{when}}</li>{{/items}}</ul>{{/items.length}}',
+      '{{^items}}<p>Nothing scheduled. Enjoy your day!</p>{{/items}}',
+    ].join('\n'),
+  },
+};
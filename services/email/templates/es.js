@@ -0,0 +1,106 @@
+// Spanish templates. Missing templates fall back to English.
+module.exports = {
+  otp: {
+    subject: 'Tu código de Beela',
+    text: [
+      'Hola {{name}}:',
+      '',
+      'Tu código para restablecer la contraseña de Beela es: {{otp}}',
+      'El código caduca en {{minutes}} minutos.',
+      '',
+      'Si no lo has solicitado, puedes ignorar este correo.',
+    ].join('\n'),
+    html: [
+      '<p>Hola {{name}}:</p>',
+      '<p>Tu código para restablecer la contraseña de Beela es: <b>{{otp}}</b></p>',
+      '<p>El código caduca en {{minutes}} minutos.</p>',
+      '<p>Si no lo has solicitado, puedes ignorar este correo.</p>',
+    ].join('\n'),
+  },
+
+  reset_link: {
+    subject: 'Restablece tu contraseña de Beela',
+    text: [
+      'Hola {{name}}:',
+      '',
+      'Abre este enlace para restablecer tu contraseña:',
+      '{{resetUrl}}',
+      '',
+      'El enlace caduca en {{minutes}} minutos.',
+    ].join('\n'),
+    html: [
+      '<p>Hola {{name}}:</p>',
+      '<p>Haz clic <a href="{{resetUrl}}">aquí</a> para restablecer tu contraseña.</p>',
+      '<p>El enlace caduca en {{minutes}} minutos.</p>',
+    ].join('\n'),
+  },
+
+  verification: {
+    subject: 'Verifica tu correo electrónico',
+    text: [
+      'Hola {{name}}:',
+      '',
+      'Tu código de verificación de Beela es: {{otp}}',
+      'El código caduca en {{minutes}} minutos.',
+    ].join('\n'),
+    html: [
+      '<p>Hola {{name}}:</p>',
+      '<p>Tu código de verificación de Beela es: <b>{{otp}}</b></p>',
+      '<p>El código caduca en {{minutes}} minutos.</p>',
+    ].join('\n'),
+  },
+
+  magic_link: {
+    subject: 'Inicia sesión en Beela',
+    text: [
+      'Hola {{name}}:',
+      '',
+      'Abre este enlace para iniciar sesión en Beela:',
+      '{{loginUrl}}',
+      '',
+      'El enlace solo funciona una vez y caduca en {{minutes}} minutos.',
+      'Si no lo has solicitado, puedes ignorar este correo.',
+    ].join('\n'),
+    html: [
+      '<p>Hola {{name}}:</p>',
+      '<p><a href="{{loginUrl}}">Iniciar sesión en Beela</a></p>',
+      '<p>El enlace solo funciona una vez y caduca en {{minutes}} minutos.</p>',
+      '<p>Si no lo has solicitado, puedes ignorar este correo.</p>',
+    ].join('\n'),
+  },
+
+  account_unlock: {
+    subject: 'Hemos bloqueado tu cuenta de Beela',
+    text: [
+      'Hola {{name}}:',
+      '',
+      'Hemos bloqueado tu cuenta durante {{minutes}} minutos tras varios intentos de inicio de sesión fallidos.',
+      'Si has sido tú, abre este enlace para desbloquearla ahora:',
+      '{{unlockUrl}}',
+      '',
+      'Si no has sido tú, te recomendamos cambiar tu contraseña.',
+    ].join('\n'),
+    html: [
+      '<p>Hola {{name}}:</p>',
+      '<p>Hemos bloqueado tu cuenta durante {{minutes}} minutos tras varios intentos de inicio de sesión fallidos.</p>',
+      '<p>Si has sido tú, haz clic <a href="{{unlockUrl}}">aquí</a> para desbloquearla ahora.</p>',
+      '<p>Si no has sido tú, te recomendamos cambiar tu contraseña.</p>',
+    ].join('\n'),
+  },
+
+  digest: {
+    subject: 'Tus recordatorios para el {{date}}',
+    text: [
+      'Hola {{name}}:',
+      '',
+      'Esto es lo que tienes el {{date}}:',
+      '{{#items}}- {{title}} ({{when}})\n{{/items}}{{^items}}No tienes nada programado. ¡Disfruta el día!\n{{/items}}',
+    ].join('\n'),
+    html: [
+      '<p>Hola {{name}}:</p>',
+      '<p>Esto es lo que tienes el {{date}}:</p>',
+      '{{#items.length}}<ul>{{#items}}<li><b>{{title}}</b> &middot; {{when}}</li>{{/items}}</ul>{{/items.length}}',
+      '{{^items}}<p>No tienes nada programado. ¡Disfruta el día!</p>{{/items}}',
+    ].join('\n'),
+  },
+};
@@ -0,0 +1,51 @@
+const { render } = require('../render');
+const en = require('./en');
+const es = require('./es');
+
+const LOCALES = { en, es };
+const DEFAULT_LOCALE = 'en';
+
+// Templates whose variables hold secrets (codes, reset links). Their variables are never
+// persisted, so a failed send is only retried in-process, not later from the send log.
+const SENSITIVE = new Set(['otp', 'reset_link', 'verification', 'account_unlock', 'magic_link']);
+
+const LAYOUT = [
+  '<!doctype html>',
+  '<html lang="{{locale}}"><body style="font-family: Arial, sans-serif; color: #222; line-height: 1.5;">',
+  '{{{content}}}',
+  '<p style="color: #888; font-size: 12px;">Beela</p>',
+  '</body></html>',
+].join('\n');
+
+// "es-MX" -> "es"; unknown locales fall back to English
+function resolveLocale(locale) {
+  const base = String(locale || '').toLowerCase().split(/[-_]/)[0];
+  return LOCALES[base] ? base : DEFAULT_LOCALE;
+}
+
+function hasTemplate(name) {
+  return !!LOCALES[DEFAULT_LOCALE][name];
+}
+
+// Render a named template to { subject, text, html, locale }
+function renderTemplate(name, vars = {}, locale) {
+  const resolved = resolveLocale(locale);
+  const tpl = LOCALES[resolved][name] || LOCALES[DEFAULT_LOCALE][name];
+  if (!tpl) throw new Error(`Unknown email template: ${name}`);
+  const content = render(tpl.html, vars, { html: true });
+  return {
+    locale: resolved,
+    subject: render(tpl.subject, vars),
+    text: render(tpl.text, vars),
+    html: render(LAYOUT, { locale: resolved, content }),
+  };
+}
+
+module.exports = {
+  LOCALES: Object.keys(LOCALES),
+  DEFAULT_LOCALE,
+  SENSITIVE,
+  resolveLocale,
+  hasTemplate,
+  renderTemplate,
+};
@@ -0,0 +1,24 @@
+const nodemailer = require('nodemailer');
+
+// Gmail with an app password: EMAIL_USER, EMAIL_PASS
+function createGmailTransport() {
+  if (!process.env.EMAIL_USER) throw new Error('EMAIL_USER is not configured');
+  const transporter = nodemailer.createTransport({
+    service: 'gmail',
+    auth: {
+      user: process.env.EMAIL_USER,
+      pass: process.env.EMAIL_PASS,
+    },
+  });
+
+  return {
+    name: 'gmail',
+    defaultFrom: process.env.EMAIL_USER,
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    },
+  };
+}
+
+module.exports = { createGmailTransport };
@@ -0,0 +1,36 @@
+const { createSmtpTransport } = require('./smtp');
+const { createGmailTransport } = require('./gmail');
+const { createOutboxTransport } = require('./outbox');
+
+// Transport registry. EMAIL_TRANSPORT selects one of: gmail, smtp, outbox.
+// When unset: gmail if EMAIL_USER is configured, otherwise the local outbox in development
+// and tests. Production refuses to fall back, since outbox mail never leaves the server.
+const FACTORIES = {
+  gmail: createGmailTransport,
+  smtp: createSmtpTransport,
+  outbox: createOutboxTransport,
+};
+
+let cached = null;
+
+function transportName() {
+  const configured = String(process.env.EMAIL_TRANSPORT || '').toLowerCase();
+  if (configured) return configured;
+  if (process.env.EMAIL_USER) return 'gmail';
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('No email transport configured: set EMAIL_TRANSPORT or EMAIL_USER');
+  }
+  return 'outbox';
+}
+
+// The configured transport, created once and reused across sends
+function getTransport() {
+  const name = transportName();
+  if (cached && cached.name === name) return cached;
+  const factory = FACTORIES[name];
+  if (!factory) throw new Error(`Unknown EMAIL_TRANSPORT: ${name}`);
+  cached = factory();
+  return cached;
+}
+
+module.exports = { getTransport };
@@ -0,0 +1,45 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+// Writes each message as a JSON file instead of sending it (local dev and tests).
+// EMAIL_OUTBOX_DIR defaults to <tmp>/beela-outbox (the only writable path on Vercel).
+function outboxDir() {
+  return process.env.EMAIL_OUTBOX_DIR || path.join(os.tmpdir(), 'beela-outbox');
+}
+
+function createOutboxTransport() {
+  return {
+    name: 'outbox',
+    defaultFrom: process.env.EMAIL_FROM || 'beela@localhost',
+    async send(message) {
+      const dir = outboxDir();
+      await fs.mkdir(dir, { recursive: true });
+      const messageId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}@outbox`;
+      const file = path.join(dir, `${messageId.replace('@outbox', '')}.json`);
+      await fs.writeFile(file, JSON.stringify({ messageId, date: new Date().toISOString(), ...message }, null, 2));
+      return { messageId };
+    },
+  };
+}
+
+// Messages currently in the outbox, oldest first (optionally only those sent to `to`)
+async function readOutbox({ to } = {}) {
+  const dir = outboxDir();
+  let files;
+  try {
+    files = (await fs.readdir(dir)).filter(f => f.endsWith('.json')).sort();
+  } catch (e) {
+    if (e.code === 'ENOENT') return [];
+    throw e;
+  }
+  const messages = await Promise.all(files.map(async f => JSON.parse(await fs.readFile(path.join(dir, f), 'utf8'))));
+  return to ? messages.filter(m => String(m.to).toLowerCase() === String(to).toLowerCase()) : messages;
+}
+
+async function clearOutbox() {
+  await fs.rm(outboxDir(), { recursive: true, force: true });
+}
+
+module.exports = { createOutboxTransport, readOutbox, clearOutbox };
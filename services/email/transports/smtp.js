@@ -0,0 +1,24 @@
+const nodemailer = require('nodemailer');
+
+// Generic SMTP: SMTP_HOST, SMTP_PORT (587), SMTP_SECURE ("true" for port 465), SMTP_USER, SMTP_PASS
+function createSmtpTransport() {
+  if (!process.env.SMTP_HOST) throw new Error('SMTP_HOST is not configured');
+  const port = parseInt(process.env.SMTP_PORT || '587', 10);
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port,
+    secure: process.env.SMTP_SECURE === 'true' || port === 465,
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+  });
+
+  return {
+    name: 'smtp',
+    defaultFrom: process.env.SMTP_USER,
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    },
+  };
+}
+
+module.exports = { createSmtpTransport };
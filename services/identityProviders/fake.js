@@ -0,0 +1,27 @@
+// Local provider for tests and development. The "token" is the claims object as JSON, e.g.
+// {"sub":"u1","email":"dev@example.com","email_verified":true,"name":"Dev"}.
+// Only registered when NODE_ENV=test or IDENTITY_FAKE_PROVIDER=1.
+module.exports = {
+  name: 'fake',
+
+  async verifyToken(token) {
+    let claims;
+    try {
+      claims = typeof token === 'string' ? JSON.parse(token) : token;
+    } catch (e) {
+      throw new Error('Fake token must be JSON claims');
+    }
+    if (!claims?.sub) throw new Error('Fake token requires sub');
+    return claims;
+  },
+
+  mapProfile(claims) {
+    return {
+      subject: String(claims.sub),
+      email: claims.email,
+      emailVerified: claims.email_verified === true,
+      name: claims.name,
+      picture: claims.picture,
+    };
+  },
+};
@@ -0,0 +1,28 @@
+const { OAuth2Client } = require('google-auth-library');
+
+const client = new OAuth2Client(process.env.GOOGLE_CLIENT_ID);
+
+// Google Sign-In: the client sends the Google ID token
+module.exports = {
+  name: 'google',
+
+  async verifyToken(idToken) {
+    // Without an audience, tokens Google issued to any other app would verify
+    const audience = process.env.GOOGLE_WEB_CLIENT_ID || process.env.GOOGLE_CLIENT_ID;
+    if (!audience) throw new Error('Google sign-in is not configured (GOOGLE_CLIENT_ID)');
+    const ticket = await client.verifyIdToken({ idToken, audience });
+    const payload = ticket.getPayload();
+    if (!payload) throw new Error('Empty Google token payload');
+    return payload;
+  },
+
+  mapProfile(claims) {
+    return {
+      subject: claims.sub,
+      email: claims.email,
+      emailVerified: claims.email_verified === true,
+      name: claims.name,
+      picture: claims.picture,
+    };
+  },
+};
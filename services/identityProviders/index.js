@@ -0,0 +1,64 @@
+const google = require('./google');
+const fake = require('./fake');
+const { createOidcProvider } = require('./oidc');
+
+// Registry of sign-in providers, exposed as /api/auth/:provider.
+// Each provider implements:
+//   verifyToken(token) -> claims (throws when the token is invalid)
+//   mapProfile(claims) -> { subject, email, emailVerified, name, picture }
+//
+// Extra OIDC providers (Apple, company SSO, ...) are configured with OIDC_PROVIDERS, a JSON array:
+//   [{"name":"apple","issuer":"https://appleid.apple.com","audience":"com.example.app"}]
+// "audience" (the client id tokens must be issued for) is required; optional "jwksUri" skips discovery.
+let registry = null;
+
+function loadOidcConfigs() {
+  if (!process.env.OIDC_PROVIDERS) return [];
+  try {
+    const list = JSON.parse(process.env.OIDC_PROVIDERS);
+    return Array.isArray(list) ? list : [];
+  } catch (e) {
+    console.warn('[identity] OIDC_PROVIDERS is not valid JSON; ignoring', e?.message);
+    return [];
+  }
+}
+
+function buildRegistry() {
+  const providers = new Map();
+  providers.set(google.name, google);
+  for (const cfg of loadOidcConfigs()) {
+    try {
+      const provider = createOidcProvider(cfg);
+      providers.set(provider.name, provider);
+    } catch (e) {
+      console.warn('[identity] skipping OIDC provider', cfg?.name, e?.message);
+    }
+  }
+  if (process.env.NODE_ENV === 'test' || process.env.IDENTITY_FAKE_PROVIDER === '1') {
+    providers.set(fake.name, fake);
+  }
+  return providers;
+}
+
+function getProvider(name) {
+  if (!registry) registry = buildRegistry();
+  return registry.get(String(name || '').toLowerCase()) || null;
+}
+
+// Verify a token with the named provider and return the normalized profile, or null
+async function verifyIdentity(providerName, token) {
+  const provider = getProvider(providerName);
+  if (!provider) return null;
+  try {
+    const claims = await provider.verifyToken(token);
+    const profile = provider.mapProfile(claims);
+    if (!profile?.subject) return null;
+    if (profile.email) profile.email = String(profile.email).toLowerCase();
+    return { provider: provider.name, ...profile };
+  } catch (e) {
+    console.warn(`[identity] ${provider.name} token verification failed`, e?.message);
+    return null;
+  }
+}
+
+module.exports = { getProvider, verifyIdentity };
@@ -0,0 +1,72 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const JWKS_TTL_MS = 60 * 60 * 1000;
+// Unknown key ids trigger at most one forced JWKS refetch per interval
+const JWKS_REFETCH_MIN_MS = 5 * 60 * 1000;
+
+// Generic OpenID Connect provider verifying ID tokens against the issuer's JWKS.
+// config: { name, issuer, audience, jwksUri? } — jwksUri is discovered from the issuer when omitted.
+// audience (our client id) is required: without it, tokens the issuer minted for other clients would verify.
+function createOidcProvider({ name, issuer, audience, jwksUri }) {
+  if (!name || !issuer || !audience) throw new Error('OIDC provider requires name, issuer and audience');
+  let cache = { keys: null, fetchedAt: 0 };
+
+  async function resolveJwksUri() {
+    if (jwksUri) return jwksUri;
+    const url = `${issuer.replace(/\/$/, '')}/.well-known/openid-configuration`;
+    const resp = await axios.get(url, { timeout: 10000 });
+    if (!resp.data?.jwks_uri) throw new Error(`No jwks_uri in discovery document for ${name}`);
+    jwksUri = resp.data.jwks_uri;
+    return jwksUri;
+  }
+
+  async function getKeys(forceRefresh = false) {
+    if (!forceRefresh && cache.keys && Date.now() - cache.fetchedAt < JWKS_TTL_MS) return cache.keys;
+    const resp = await axios.get(await resolveJwksUri(), { timeout: 10000 });
+    const keys = Array.isArray(resp.data?.keys) ? resp.data.keys : [];
+    cache = { keys, fetchedAt: Date.now() };
+    return keys;
+  }
+
+  async function findKey(kid) {
+    let keys = await getKeys();
+    let jwk = keys.find(k => k.kid === kid);
+    // Keys rotate; refetch before giving up, unless the keys were just fetched
+    if (!jwk && Date.now() - cache.fetchedAt >= JWKS_REFETCH_MIN_MS) {
+      keys = await getKeys(true);
+      jwk = keys.find(k => k.kid === kid);
+    }
+    if (!jwk) throw new Error(`Signing key ${kid} not found for ${name}`);
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  }
+
+  return {
+    name,
+
+    async verifyToken(idToken) {
+      const decoded = jwt.decode(idToken, { complete: true });
+      if (!decoded?.header?.kid) throw new Error('Malformed ID token');
+      const key = await findKey(decoded.header.kid);
+      return jwt.verify(idToken, key, {
+        algorithms: ['RS256', 'RS384', 'RS512', 'ES256', 'ES384'],
+        issuer,
+        audience,
+      });
+    },
+
+    mapProfile(claims) {
+      return {
+        subject: claims.sub,
+        email: claims.email,
+        // Some issuers send "true"/"false" strings
+        emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+        name: claims.name || [claims.given_name, claims.family_name].filter(Boolean).join(' ') || undefined,
+        picture: claims.picture,
+      };
+    },
+  };
+}
+
+module.exports = { createOidcProvider };
@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+const Label = require('../models/labelModel');
+const Reminder = require('../models/reminderModel');
+
+const MAX_TAGS_PER_REMINDER = 20;
+
+function httpError(message, statusCode) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+/**
+ * Check that the list/tags a client assigns to a reminder are the user's own labels
+ * of the right kind. Only the fields present in `data` are checked.
+ * Throws with statusCode 400 otherwise.
+ */
+async function assertOwnLabels(userId, data = {}) {
+  const listId = data.list;
+  const tagIds = Array.isArray(data.tags) ? [...new Set(data.tags.map(String))] : [];
+  const wanted = [...(listId ? [String(listId)] : []), ...tagIds];
+  if (!wanted.length) return;
+  if (tagIds.length > MAX_TAGS_PER_REMINDER) {
+    throw httpError(`A reminder can have at most ${MAX_TAGS_PER_REMINDER} tags`, 400);
+  }
+
+  const labels = await Label.find({ _id: { $in: wanted }, user: userId }).select('kind').lean();
+  const kinds = new Map(labels.map(l => [String(l._id), l.kind]));
+  if (listId && kinds.get(String(listId)) !== 'list') throw httpError('Unknown list', 400);
+  if (tagIds.some(id => kinds.get(id) !== 'tag')) throw httpError('Unknown tag', 400);
+}
+
+/**
+ * Reminder query conditions for ?list=<id|none>&tag=<id>[,<id>...] (reminders must carry every tag).
+ * Throws with statusCode 400 for malformed ids.
+ */
+function labelFilter({ list, tag } = {}) {
+  const filter = {};
+  if (list) {
+    if (list === 'none') filter.list = null;
+    else if (mongoose.isValidObjectId(list)) filter.list = list;
+    else throw httpError('Invalid list ID', 400);
+  }
+  if (tag) {
+    const tagIds = String(tag).split(',').map(t => t.trim()).filter(Boolean);
+    if (!tagIds.every(id => mongoose.isValidObjectId(id))) throw httpError('Invalid tag ID', 400);
+    if (tagIds.length) filter.tags = { $all: tagIds };
+  }
+  return filter;
+}
+
+// Labels of a user with the number of reminders using each
+async function listLabels(userId, { kind } = {}) {
+  const filter = { user: userId };
+  if (kind) filter.kind = kind;
+  const [labels, listCounts, tagCounts] = await Promise.all([
+    Label.find(filter).sort({ kind: 1, sortOrder: 1, name: 1 }).lean(),
+    Reminder.aggregate([
+      { $match: { user: new mongoose.Types.ObjectId(String(userId)), list: { $exists: true, $ne: null }, deletedAt: null } },
+      { $group: { _id: '$list', count: { $sum: 1 } } },
+    ]),
+    Reminder.aggregate([
+      { $match: { user: new mongoose.Types.ObjectId(String(userId)), 'tags.0': { $exists: true }, deletedAt: null } },
+      { $unwind: '$tags' },
+      { $group: { _id: '$tags', count: { $sum: 1 } } },
+    ]),
+  ]);
+  const counts = new Map([...listCounts, ...tagCounts].map(c => [String(c._id), c.count]));
+  return labels.map(l => ({ ...l, reminderCount: counts.get(String(l._id)) || 0 }));
+}
+
+// Remove a label from every reminder; a deleted list can hand its reminders to another list
+async function detachLabel(label, { moveTo = null } = {}) {
+  if (label.kind === 'list') {
+    const update = moveTo ? { $set: { list: moveTo } } : { $unset: { list: 1 } };
+    const result = await Reminder.updateMany({ user: label.user, list: label._id }, update);
+    return result.modifiedCount || 0;
+  }
+  const result = await Reminder.updateMany({ user: label.user, tags: label._id }, { $pull: { tags: label._id } });
+  return result.modifiedCount || 0;
+}
+
+/**
+ * Merge `source` into `target` (same user and kind): reminders move over and `source` is deleted.
+ * @returns {Promise<number>} reminders updated
+ */
+async function mergeLabels(source, target) {
+  if (String(source._id) === String(target._id)) throw httpError('Cannot merge a label into itself', 400);
+  if (source.kind !== target.kind) throw httpError('Only labels of the same kind can be merged', 400);
+
+  let updated;
+  if (source.kind === 'list') {
+    updated = await detachLabel(source, { moveTo: target._id });
+  } else {
+    // Add the target before pulling the source so no reminder loses the tag in between
+    await Reminder.updateMany({ user: source.user, tags: source._id }, { $addToSet: { tags: target._id } });
+    updated = await detachLabel(source);
+  }
+  await Label.deleteOne({ _id: source._id });
+  return updated;
+}
+
+async function deleteLabel(label, { moveTo } = {}) {
+  const updated = await detachLabel(label, { moveTo });
+  await Label.deleteOne({ _id: label._id });
+  return updated;
+}
+
+module.exports = {
+  MAX_TAGS_PER_REMINDER,
+  assertOwnLabels,
+  labelFilter,
+  listLabels,
+  mergeLabels,
+  deleteLabel,
+};
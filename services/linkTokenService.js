@@ -0,0 +1,37 @@
+const crypto = require('crypto');
+const User = require('../models/userModel');
+const { hashToken } = require('../utils/generateToken');
+
+// Single-use tokens delivered as email links (password reset, magic-link sign-in).
+// They share the user's resetPasswordToken/resetPasswordExpires fields: the stored value is
+// "<purpose>:<sha256 of token>", so a link only works for the purpose it was issued for, and
+// issuing a new link of any purpose invalidates the previous one.
+
+function storedValue(purpose, token) {
+  return `${purpose}:${hashToken(String(token))}`;
+}
+
+/**
+ * Issue a link token for the user and persist its hash and expiry
+ * @returns {Promise<string>} the raw token to put in the link
+ */
+async function issueLinkToken(user, purpose, ttlMs) {
+  const token = crypto.randomBytes(32).toString('hex');
+  user.resetPasswordToken = storedValue(purpose, token);
+  user.resetPasswordExpires = new Date(Date.now() + ttlMs);
+  await user.save();
+  return token;
+}
+
+// Atomically redeem a token: returns the user (with the token cleared), or null when the
+// token is unknown, expired, already used or was issued for another purpose
+async function consumeLinkToken(purpose, token) {
+  if (!token) return null;
+  return User.findOneAndUpdate(
+    { resetPasswordToken: storedValue(purpose, token), resetPasswordExpires: { $gt: new Date() } },
+    { $unset: { resetPasswordToken: 1, resetPasswordExpires: 1 } },
+    { new: true }
+  );
+}
+
+module.exports = { issueLinkToken, consumeLinkToken };
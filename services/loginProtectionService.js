@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+const LoginAttempt = require('../models/loginAttemptModel');
+const User = require('../models/userModel');
+const { hashToken } = require('../utils/generateToken');
+const { sendTemplate } = require('./email');
+const audit = require('./auditService');
+
+// Brute-force protection for password login. Failures are counted per account (email) and
+// per client IP; both counters live in Mongo so they survive cold starts.
+//   - after LOGIN_DELAY_AFTER failures each further attempt must wait 1s, 2s, 4s, ... (capped)
+//   - after LOGIN_LOCK_THRESHOLD failures the account is locked for LOGIN_LOCK_MINUTES, doubling
+//     for every failure after the lock expires (capped at 24h), and an unlock link is emailed
+//   - after LOGIN_IP_LOCK_THRESHOLD failures the IP is locked the same way (no email)
+//   - after LOGIN_CAPTCHA_THRESHOLD failures responses carry captchaRequired: true
+// Counters are forgotten after LOGIN_ATTEMPT_WINDOW_MINUTES without a failure.
+
+const MAX_DELAY_MS = 5 * 60 * 1000;
+const MAX_LOCK_MS = 24 * 60 * 60 * 1000;
+
+function intEnv(name, fallback) {
+  const n = parseInt(process.env[name] || '', 10);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+function settings() {
+  return {
+    windowMs: intEnv('LOGIN_ATTEMPT_WINDOW_MINUTES', 60) * 60 * 1000,
+    delayAfter: intEnv('LOGIN_DELAY_AFTER', 3),
+    accountLockThreshold: intEnv('LOGIN_LOCK_THRESHOLD', 10),
+    ipLockThreshold: intEnv('LOGIN_IP_LOCK_THRESHOLD', 50),
+    lockMs: intEnv('LOGIN_LOCK_MINUTES', 15) * 60 * 1000,
+    captchaThreshold: intEnv('LOGIN_CAPTCHA_THRESHOLD', 5),
+  };
+}
+
+const emailKey = email => `email:${String(email || '').trim().toLowerCase()}`;
+const ipKey = ip => `ip:${ip || 'unknown'}`;
+
+function delayFor(failures, cfg) {
+  if (failures < cfg.delayAfter) return 0;
+  return Math.min(1000 * 2 ** (failures - cfg.delayAfter), MAX_DELAY_MS);
+}
+
+function lockFor(failures, threshold, cfg) {
+  if (!threshold || failures < threshold) return 0;
+  return Math.min(cfg.lockMs * 2 ** (failures - threshold), MAX_LOCK_MS);
+}
+
+function captchaRequired(failures, cfg) {
+  return cfg.captchaThreshold > 0 && failures >= cfg.captchaThreshold;
+}
+
+/**
+ * Whether a login attempt may proceed right now.
+ * @returns {Promise<{blocked: boolean, reason?: 'locked'|'delayed', retryAfterMs?: number, captchaRequired: boolean}>}
+ */
+async function checkLogin({ email, ip }, now = new Date()) {
+  const cfg = settings();
+  const docs = await LoginAttempt.find({ key: { $in: [emailKey(email), ipKey(ip)] } }).lean();
+  let blocked = null;
+  let failures = 0;
+  for (const doc of docs) {
+    failures = Math.max(failures, doc.failures || 0);
+    if (doc.lockedUntil > now) {
+      const retryAfterMs = doc.lockedUntil - now;
+      if (!blocked || blocked.reason !== 'locked' || retryAfterMs > blocked.retryAfterMs) {
+        blocked = { reason: 'locked', retryAfterMs };
+      }
+    } else if (doc.nextAllowedAt > now && (!blocked || blocked.reason !== 'locked')) {
+      blocked = { reason: 'delayed', retryAfterMs: Math.max(doc.nextAllowedAt - now, blocked?.retryAfterMs || 0) };
+    }
+  }
+  return { blocked: !!blocked, ...blocked, captchaRequired: captchaRequired(failures, cfg) };
+}
+
+async function bumpCounter(key, now, cfg, lockThreshold) {
+  const doc = await LoginAttempt.findOneAndUpdate(
+    { key },
+    { $inc: { failures: 1 }, $set: { lastFailureAt: now, expiresAt: new Date(now.getTime() + cfg.windowMs) } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+  const delayMs = delayFor(doc.failures, cfg);
+  const lockMs = lockFor(doc.failures, lockThreshold, cfg);
+  const update = { nextAllowedAt: new Date(now.getTime() + delayMs) };
+  if (lockMs) update.lockedUntil = new Date(now.getTime() + lockMs);
+  // Keep the counter around at least as long as the lock
+  const keepUntil = now.getTime() + Math.max(cfg.windowMs, lockMs);
+  update.expiresAt = new Date(keepUntil);
+  await LoginAttempt.updateOne({ _id: doc._id }, { $set: update });
+  return { doc, delayMs, lockMs };
+}
+
+// Email a one-time unlock link, once per lock streak
+async function sendUnlockEmail(attempt, user, lockMs, req) {
+  if (attempt.unlockTokenHash) return;
+  const token = crypto.randomBytes(32).toString('hex');
+  const claimed = await LoginAttempt.updateOne(
+    { _id: attempt._id, unlockTokenHash: { $exists: false } },
+    { $set: { unlockTokenHash: hashToken(token) } }
+  );
+  if (!claimed.modifiedCount) return;
+  const unlockUrl = `${process.env.CLIENT_URL}/unlock-account?token=${token}`;
+  try {
+    await sendTemplate('account_unlock', { user, vars: { unlockUrl, minutes: Math.ceil(lockMs / 60000) } });
+  } catch (e) {
+    console.warn('[login] unlock email failed', e?.message);
+  }
+  await audit.recordSecurityEvent(req, audit.ACTIONS.ACCOUNT_LOCK, { user, success: false, metadata: { lockedMinutes: Math.ceil(lockMs / 60000) } });
+}
+
+/**
+ * Count a failed password login against the account and the client IP.
+ * `user` is the matching account, if any (unknown emails are throttled the same way).
+ * @returns {Promise<{locked: boolean, retryAfterMs: number, captchaRequired: boolean}>}
+ */
+async function recordFailure({ email, ip, user, req }, now = new Date()) {
+  const cfg = settings();
+  const [account, client] = await Promise.all([
+    bumpCounter(emailKey(email), now, cfg, cfg.accountLockThreshold),
+    bumpCounter(ipKey(ip), now, cfg, cfg.ipLockThreshold),
+  ]);
+  if (account.lockMs && user) await sendUnlockEmail(account.doc, user, account.lockMs, req);
+
+  const lockMs = Math.max(account.lockMs, client.lockMs);
+  return {
+    locked: lockMs > 0,
+    retryAfterMs: lockMs || Math.max(account.delayMs, client.delayMs),
+    captchaRequired: captchaRequired(Math.max(account.doc.failures, client.doc.failures), cfg),
+  };
+}
+
+// Successful password check (or password reset): forget the account's failures.
+// The IP counter is left alone so one valid account cannot launder failures against others.
+async function clearAccountFailures(email) {
+  await LoginAttempt.deleteOne({ key: emailKey(email) });
+}
+
+// Redeem an emailed unlock token. Returns the unlocked user, or null for an invalid token.
+async function unlockWithToken(token, req) {
+  if (!token) return null;
+  const attempt = await LoginAttempt.findOneAndDelete({ unlockTokenHash: hashToken(String(token)) });
+  if (!attempt) return null;
+  const user = await User.findOne({ email: attempt.key.slice('email:'.length) });
+  if (user) await audit.recordSecurityEvent(req, audit.ACTIONS.ACCOUNT_UNLOCK, { user, metadata: { method: 'email_link' } });
+  return user;
+}
+
+module.exports = {
+  checkLogin,
+  recordFailure,
+  clearAccountFailures,
+  unlockWithToken,
+};
@@ -0,0 +1,245 @@
+const Reminder = require('../models/reminderModel');
+const ReminderOccurrence = require('../models/reminderOccurrenceModel');
+const { expandOccurrences, recurrenceFromLegacy, toFloating, fromFloating } = require('../utils/recurrence');
+
+const MAX_OCCURRENCES = 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Longest history range, same as GET /api/reminders/occurrences
+const MAX_RANGE_DAYS = 366;
+// Clients may echo an occurrence time with lost precision; accept it within a minute
+const MATCH_TOLERANCE_MS = 60 * 1000;
+
+function httpError(message, statusCode) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+// Recurrence for a reminder: its own rule, or one derived on the fly from the legacy routine fields
+function effectiveRecurrence(reminder, timezone) {
+  if (reminder.recurrence?.rrule) return reminder.recurrence;
+  return recurrenceFromLegacy(reminder, timezone);
+}
+
+// Calendar day (YYYY-MM-DD) of an instant, local to tz
+function localDate(date, tz) {
+  return toFloating(date, tz).toISOString().slice(0, 10);
+}
+
+// Start of the local day `YYYY-MM-DD` in tz, plus `days`
+function localDayStart(day, tz, days = 0) {
+  const [y, m, d] = day.split('-').map(Number);
+  return fromFloating(new Date(Date.UTC(y, m - 1, d + days)), tz);
+}
+
+function occurrenceKey(reminderId, occursAt) {
+  return `${reminderId}:${new Date(occursAt).getTime()}`;
+}
+
+// Recorded outcome, else pending (still ahead) or missed (already passed)
+function statusFor(logged, occursAt, now) {
+  if (logged) return logged.status;
+  return occursAt < now ? 'missed' : 'pending';
+}
+
+// Recorded outcomes for the given reminders in [from, to], keyed by occurrenceKey
+async function loadStatuses(reminderIds, from, to) {
+  if (!reminderIds.length) return new Map();
+  const rows = await ReminderOccurrence.find({
+    reminder: { $in: reminderIds },
+    occursAt: { $gte: from, $lte: to },
+  }).lean();
+  return new Map(rows.map((row) => [occurrenceKey(row.reminder, row.occursAt), row]));
+}
+
+/**
+ * Find the occurrence a client refers to: either an instant (matched within a minute)
+ * or a calendar day "YYYY-MM-DD" in the rule's time zone (first occurrence that day).
+ * @returns {Date|null}
+ */
+function matchOccurrence(recurrence, value) {
+  const tz = recurrence.tz || 'UTC';
+  if (/^\d{4}-\d{2}-\d{2}$/.test(String(value))) {
+    const from = localDayStart(value, tz);
+    const to = new Date(localDayStart(value, tz, 1).getTime() - 1);
+    return expandOccurrences(recurrence, { from, to, limit: 1 })[0] || null;
+  }
+  const at = new Date(value);
+  if (Number.isNaN(at.getTime())) return null;
+  const candidates = expandOccurrences(recurrence, {
+    from: new Date(at.getTime() - MATCH_TOLERANCE_MS),
+    to: new Date(at.getTime() + MATCH_TOLERANCE_MS),
+    limit: 1,
+  });
+  return candidates[0] || null;
+}
+
+/**
+ * Concrete reminder instances for a user in [from, to], sorted by time.
+ * Recurring reminders are expanded; one-off reminders appear once at their startDate.
+ * @param {ObjectId} userId
+ * @param {{ from: Date, to: Date, type?: string, timezone?: string, limit?: number }} options
+ * @returns {Promise<Array<{ reminderId, type, title, icon, isCompleted, recurring, occursAt, status }>>}
+ */
+async function listOccurrences(userId, { from, to, type, timezone = 'UTC', limit = MAX_OCCURRENCES }) {
+  const filter = {
+    user: userId,
+    $or: [
+      { 'recurrence.rrule': { $exists: true } },
+      { scheduleType: 'routine', 'scheduleTime.fixedTime': { $type: 'string' } },
+      { startDate: { $gte: from, $lte: to } },
+    ],
+  };
+  if (type) filter.type = type;
+  const reminders = await Reminder.find(filter).select('-tts.audio').lean();
+
+  const max = Math.min(limit, MAX_OCCURRENCES);
+  const now = new Date();
+  const out = [];
+  const recurringIds = [];
+  for (const reminder of reminders) {
+    const base = {
+      reminderId: reminder._id,
+      type: reminder.type,
+      title: reminder.title,
+      icon: reminder.icon,
+      isCompleted: reminder.isCompleted,
+    };
+    const recurrence = effectiveRecurrence(reminder, timezone);
+    if (recurrence) {
+      recurringIds.push(reminder._id);
+      for (const occursAt of expandOccurrences(recurrence, { from, to, limit: max })) {
+        out.push({ ...base, recurring: true, occursAt });
+      }
+    } else if (reminder.startDate) {
+      out.push({
+        ...base,
+        recurring: false,
+        occursAt: reminder.startDate,
+        status: reminder.isCompleted ? 'completed' : 'pending',
+      });
+    }
+  }
+
+  const statuses = await loadStatuses(recurringIds, from, to);
+  for (const item of out) {
+    if (!item.recurring) continue;
+    item.status = statusFor(statuses.get(occurrenceKey(item.reminderId, item.occursAt)), item.occursAt, now);
+  }
+
+  out.sort((a, b) => a.occursAt - b.occursAt);
+  return out.slice(0, max);
+}
+
+/**
+ * Per-day timeline for recurring reminders, for calendar views.
+ * @param {Array} reminders - lean reminder documents
+ * @param {{ from: Date, to: Date, timezone?: string }} range
+ * @returns {Promise<Map<string, { today: object|null, occurrences: Array<{ date, occursAt, status }> }>>}
+ *   keyed by reminder id; reminders without a recurrence are left out
+ */
+async function occurrenceTimelines(reminders, { from, to, timezone = 'UTC' }) {
+  const now = new Date();
+  const expanded = [];
+  for (const reminder of reminders) {
+    const recurrence = effectiveRecurrence(reminder, timezone);
+    if (!recurrence) continue;
+    expanded.push({
+      reminder,
+      tz: recurrence.tz || timezone,
+      times: expandOccurrences(recurrence, { from, to, limit: MAX_OCCURRENCES }),
+    });
+  }
+  const statuses = await loadStatuses(expanded.map((e) => e.reminder._id), from, to);
+
+  const out = new Map();
+  for (const { reminder, tz, times } of expanded) {
+    const today = localDate(now, tz);
+    const occurrences = times.map((occursAt) => ({
+      date: localDate(occursAt, tz),
+      occursAt,
+      status: statusFor(statuses.get(occurrenceKey(reminder._id, occursAt)), occursAt, now),
+    }));
+    out.set(String(reminder._id), {
+      today: occurrences.find((o) => o.date === today) || null,
+      occurrences,
+    });
+  }
+  return out;
+}
+
+/**
+ * Record an outcome for one occurrence of a recurring reminder.
+ * Occurrences on later days than today cannot be completed, only skipped.
+ * Throws with statusCode 400/404 for requests that do not match an occurrence.
+ * @param {object} reminder - reminder document owned by the user
+ * @param {string} when - occurrence instant (ISO 8601) or local day "YYYY-MM-DD"
+ * @param {'completed'|'skipped'} status
+ * @param {{ timezone?: string, session?: ClientSession }} options
+ */
+async function recordOccurrence(reminder, when, status, { timezone = 'UTC', session = null } = {}) {
+  const recurrence = effectiveRecurrence(reminder, timezone);
+  if (!recurrence) throw httpError('Only recurring reminders have occurrences', 400);
+  const occursAt = matchOccurrence(recurrence, when);
+  if (!occursAt) throw httpError('No occurrence of this reminder at that time', 404);
+
+  const tz = recurrence.tz || timezone;
+  if (status === 'completed' && localDate(occursAt, tz) > localDate(new Date(), tz)) {
+    throw httpError('Future occurrences can only be skipped', 400);
+  }
+
+  const entry = await ReminderOccurrence.findOneAndUpdate(
+    { reminder: reminder._id, occursAt },
+    { $set: { user: reminder.user, status, recordedAt: new Date() } },
+    { upsert: true, new: true, setDefaultsOnInsert: true, session }
+  ).lean();
+  return { ...entry, date: localDate(occursAt, tz) };
+}
+
+/**
+ * Occurrence history for one recurring reminder, newest first. Past occurrences
+ * without a recorded outcome are reported as missed.
+ * @param {{ from?: Date, to?: Date, timezone?: string, limit?: number }} options
+ *   defaults to the last 30 days up to now; at most MAX_RANGE_DAYS
+ */
+async function occurrenceHistory(reminder, { from, to, timezone = 'UTC', limit = 100 } = {}) {
+  const recurrence = effectiveRecurrence(reminder, timezone);
+  if (!recurrence) throw httpError('Only recurring reminders have occurrences', 400);
+  const now = new Date();
+  const end = to || now;
+  const start = from || new Date(end.getTime() - 30 * DAY_MS);
+  if (start > end) throw httpError('from must be before to', 400);
+  if (end - start > MAX_RANGE_DAYS * DAY_MS) throw httpError(`Range cannot exceed ${MAX_RANGE_DAYS} days`, 400);
+  const tz = recurrence.tz || timezone;
+
+  // Newest first: expand a week at a time backwards from `end`, so the cap drops the oldest
+  const wanted = Math.min(limit, MAX_OCCURRENCES);
+  const times = [];
+  let windowEnd = end;
+  while (times.length < wanted && windowEnd >= start) {
+    const windowStart = new Date(Math.max(start.getTime(), windowEnd.getTime() - 7 * DAY_MS));
+    const chunk = expandOccurrences(recurrence, { from: windowStart, to: windowEnd, limit: MAX_OCCURRENCES });
+    times.push(...chunk.reverse());
+    windowEnd = new Date(windowStart.getTime() - 1);
+  }
+  const statuses = await loadStatuses([reminder._id], start, end);
+  return times
+    .slice(0, wanted)
+    .map((occursAt) => {
+      const logged = statuses.get(occurrenceKey(reminder._id, occursAt));
+      return {
+        date: localDate(occursAt, tz),
+        occursAt,
+        status: statusFor(logged, occursAt, now),
+        recordedAt: logged?.recordedAt || null,
+      };
+    });
+}
+
+module.exports = {
+  effectiveRecurrence,
+  listOccurrences,
+  occurrenceTimelines,
+  recordOccurrence,
+  occurrenceHistory,
+};
@@ -0,0 +1,183 @@
+const Reminder = require('../models/reminderModel');
+const Notification = require('../models/notificationModel');
+const ReminderOccurrence = require('../models/reminderOccurrenceModel');
+const { expandOccurrences } = require('../utils/recurrence');
+const { buildNotificationText } = require('../utils/ttsService');
+const { effectiveAlerts, alertKey, MAX_MINUTES_BEFORE } = require('../utils/alerts');
+const { effectiveRecurrence } = require('./occurrenceService');
+
+// Server-side reminder dispatch: decides which reminders are due and creates their
+// Notification records, so reminders fire even when the app is not running.
+//
+// Fire times: every alert (utils/alerts) of every occurrence. One-off reminders occur at
+// startDate; recurring ones at each occurrence of their rule. Reminders without alerts use
+// their single legacy lead time (notificationPreferenceMinutes / minutesBeforeStart, or the
+// routine's fixedTime itself). Snoozed reminders also fire at snoozedUntil.
+// Every run looks back DISPATCH_LOOKBACK_MINUTES so a late or skipped cron run still delivers;
+// the notification dedupeKey guarantees each alert of each occurrence is notified once.
+
+const MINUTE_MS = 60 * 1000;
+// One-off reminders are only considered when they start within this horizon
+const MAX_LEAD_MS = MAX_MINUTES_BEFORE * MINUTE_MS;
+// Reminders loaded and notified per round trip
+const BATCH_SIZE = 200;
+
+function lookbackMs() {
+  const minutes = parseInt(process.env.DISPATCH_LOOKBACK_MINUTES || '60', 10);
+  return (Number.isFinite(minutes) && minutes > 0 ? minutes : 60) * MINUTE_MS;
+}
+
+// Fire times within (from, to] for one reminder, as [{ occursAt, fireAt, alert, minutesBefore }]
+function dueFires(reminder, { from, to }) {
+  const timezone = reminder.user?.timezone || 'UTC';
+  const recurrence = effectiveRecurrence(reminder, timezone);
+  const alerts = effectiveAlerts(reminder, { recurring: !!recurrence });
+
+  let occurrences = [];
+  if (recurrence) {
+    const maxLead = Math.max(0, ...alerts.map(a => a.minutesBefore)) * MINUTE_MS;
+    occurrences = expandOccurrences(recurrence, { from, to: new Date(to.getTime() + maxLead) });
+  } else if (reminder.startDate) {
+    occurrences = [new Date(reminder.startDate)];
+  }
+
+  const fires = [];
+  for (const occursAt of occurrences) {
+    for (const alert of alerts) {
+      const fireAt = alert.at != null
+        ? new Date(alert.at)
+        : new Date(occursAt.getTime() - alert.minutesBefore * MINUTE_MS);
+      if (fireAt > from && fireAt <= to) {
+        fires.push({ occursAt, fireAt, alert, minutesBefore: Math.round((occursAt - fireAt) / MINUTE_MS) });
+      }
+    }
+  }
+  return fires;
+}
+
+function notificationType(reminder) {
+  return reminder.type === 'Meeting' ? 'meeting' : 'task';
+}
+
+// Create the notification unless one with the same dedupeKey exists. Returns true when created.
+async function notifyOnce(reminder, { dedupeKey, occursAt, fixedMinutes }) {
+  try {
+    await Notification.create({
+      userId: reminder.user._id,
+      type: notificationType(reminder),
+      message: buildNotificationText(reminder, reminder.user, fixedMinutes),
+      reminderId: reminder._id,
+      dedupeKey,
+      occursAt,
+    });
+    return true;
+  } catch (e) {
+    if (e?.code === 11000) return false;
+    throw e;
+  }
+}
+
+// Occurrences already completed or skipped, keyed "<reminderId>:<time>"
+async function settledOccurrences(reminderIds, from, to) {
+  if (!reminderIds.length) return new Set();
+  const rows = await ReminderOccurrence.find({
+    reminder: { $in: reminderIds },
+    occursAt: { $gte: from, $lte: to },
+    status: { $in: ['completed', 'skipped'] },
+  }).select('reminder occursAt').lean();
+  return new Set(rows.map(r => `${r.reminder}:${r.occursAt.getTime()}`));
+}
+
+// Notify the due fires of one batch of reminders
+async function dispatchBatch(reminders, { from, now }, stats) {
+  const fires = [];
+  for (const reminder of reminders) {
+    // Inactive or deleted owners are filtered out by the user query middleware
+    if (!reminder.user) continue;
+    stats.checked += 1;
+    for (const fire of dueFires(reminder, { from, to: now })) fires.push({ reminder, ...fire });
+  }
+  if (!fires.length) return;
+
+  const occurrenceTimes = fires.map(f => f.occursAt.getTime());
+  const settled = await settledOccurrences(
+    [...new Set(fires.map(f => f.reminder._id))],
+    new Date(Math.min(...occurrenceTimes, now.getTime())),
+    new Date(Math.max(...occurrenceTimes, now.getTime()))
+  );
+
+  for (const { reminder, occursAt, alert, minutesBefore } of fires) {
+    if (settled.has(`${reminder._id}:${occursAt.getTime()}`)) continue;
+    const created = await notifyOnce(reminder, {
+      dedupeKey: `reminder:${reminder._id}:${occursAt.getTime()}:${alertKey(alert)}`,
+      occursAt,
+      fixedMinutes: minutesBefore,
+    });
+    stats[created ? 'created' : 'duplicates'] += 1;
+  }
+}
+
+/**
+ * Create notifications for every reminder that became due since the lookback window began.
+ * Candidates are streamed in batches, so memory stays flat however many reminders exist.
+ * Safe to run concurrently and repeatedly.
+ * @returns {Promise<{ checked: number, created: number, duplicates: number, snoozed: number }>}
+ */
+async function dispatchDueReminders({ now = new Date() } = {}) {
+  const from = new Date(now.getTime() - lookbackMs());
+  const stats = { checked: 0, created: 0, duplicates: 0, snoozed: 0 };
+
+  const cursor = Reminder.find({
+    type: { $in: ['Task', 'Meeting'] },
+    isCompleted: { $ne: true },
+    $or: [
+      { 'recurrence.rrule': { $exists: true } },
+      { scheduleType: 'routine', 'scheduleTime.fixedTime': { $type: 'string' } },
+      { startDate: { $gt: from, $lte: new Date(now.getTime() + MAX_LEAD_MS) } },
+      { 'alerts.at': { $gt: from, $lte: now } },
+    ],
+  })
+    .select('-tts -snoozeHistory')
+    .populate('user', 'fullname timezone')
+    .lean()
+    .cursor({ batchSize: BATCH_SIZE });
+
+  let batch = [];
+  for await (const reminder of cursor) {
+    batch.push(reminder);
+    if (batch.length < BATCH_SIZE) continue;
+    await dispatchBatch(batch, { from, now }, stats);
+    batch = [];
+  }
+  await dispatchBatch(batch, { from, now }, stats);
+
+  // Snoozes that came due: notify, then clear snoozedUntil unless it was changed meanwhile.
+  // No lower bound: a snooze that came due while the cron was down is still delivered once.
+  const snoozed = await Reminder.find({
+    snoozedUntil: { $lte: now },
+    isCompleted: { $ne: true },
+  })
+    .select('-tts')
+    .populate('user', 'fullname timezone')
+    .lean();
+  for (const reminder of snoozed) {
+    if (!reminder.user) continue;
+    // The snoozed occurrence of a recurring reminder, else the one-off start
+    const last = reminder.snoozeHistory?.[reminder.snoozeHistory.length - 1];
+    const recurring = !!effectiveRecurrence(reminder, reminder.user.timezone || 'UTC');
+    const startsAt = last?.occursAt || (recurring ? null : reminder.startDate);
+    const fixedMinutes = startsAt ? Math.round((startsAt - reminder.snoozedUntil) / MINUTE_MS) : null;
+    const created = await notifyOnce(reminder, {
+      dedupeKey: `snooze:${reminder._id}:${reminder.snoozedUntil.getTime()}`,
+      occursAt: startsAt || undefined,
+      fixedMinutes,
+    });
+    await Reminder.updateOne({ _id: reminder._id, snoozedUntil: reminder.snoozedUntil }, { $unset: { snoozedUntil: 1 } });
+    if (created) stats.snoozed += 1;
+    else stats.duplicates += 1;
+  }
+
+  return stats;
+}
+
+module.exports = { dispatchDueReminders, dueFires };
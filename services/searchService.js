@@ -0,0 +1,191 @@
+const Reminder = require('../models/reminderModel');
+const Notification = require('../models/notificationModel');
+const Conversation = require('../models/Conversation');
+
+const SEARCH_TYPES = ['reminder', 'notification', 'message'];
+const SNIPPET_LENGTH = 160;
+// Not indexed by MongoDB's English text search, so not worth highlighting either
+const STOP_WORDS = new Set(['a', 'an', 'and', 'are', 'at', 'for', 'in', 'is', 'it', 'of', 'on', 'or', 'the', 'that', 'this', 'to', 'with']);
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Split a $text query the way MongoDB reads it: "quoted phrases", words, and -negated words/phrases.
+ * Everything is lower-cased; only `phrases` and `words` are highlighted.
+ */
+function parseQuery(q) {
+  const phrases = [];
+  const excluded = [];
+  const rest = String(q).replace(/(-?)"([^"]*)"/g, (match, negated, phrase) => {
+    const text = phrase.trim().toLowerCase();
+    if (text) (negated ? excluded : phrases).push(text);
+    return ' ';
+  });
+  const words = [];
+  for (const token of rest.split(/\s+/)) {
+    const negated = token.startsWith('-');
+    const word = token.replace(/[^\p{L}\p{N}']/gu, '').toLowerCase();
+    if (word.length < 2 || STOP_WORDS.has(word)) continue;
+    (negated ? excluded : words).push(word);
+  }
+  return { phrases: [...new Set(phrases)], words: [...new Set(words)], excluded };
+}
+
+// Matches any of the given terms at a word start. Single words also match their inflections
+// ("dentists" finds "dentist"), roughly like MongoDB's stemming; phrases match literally.
+function termPattern(terms) {
+  const parts = terms.map(term => {
+    if (/\s/.test(term)) return escapeRegExp(term);
+    const stemmed = term.replace(/(?:ing|ed|es|s)$/, '');
+    return `${escapeRegExp(stemmed.length >= 3 ? stemmed : term)}[\\p{L}\\p{N}]*`;
+  });
+  return new RegExp(`(?<![\\p{L}\\p{N}])(?:${parts.join('|')})`, 'giu');
+}
+
+/**
+ * Snippet of `text` around its first match: { field, text, ranges }, where ranges are
+ * [start, end) offsets of the matched words in the snippet. Null when nothing matches.
+ */
+function highlight(field, text, pattern) {
+  if (!text) return null;
+  const first = text.match(new RegExp(pattern.source, 'iu'));
+  if (!first) return null;
+
+  let start = 0;
+  let end = text.length;
+  if (text.length > SNIPPET_LENGTH) {
+    // Keep some context before the match and cut at word boundaries
+    start = Math.max(0, Math.min(first.index - SNIPPET_LENGTH / 4, text.length - SNIPPET_LENGTH));
+    end = start + SNIPPET_LENGTH;
+    const wordStart = text.indexOf(' ', start);
+    if (start > 0 && wordStart !== -1 && wordStart < first.index) start = wordStart + 1;
+    const wordEnd = text.lastIndexOf(' ', end);
+    if (end < text.length && wordEnd > first.index + first[0].length) end = wordEnd;
+  }
+
+  const prefix = start > 0 ? '…' : '';
+  const snippet = text.slice(start, end);
+  const ranges = [...snippet.matchAll(pattern)].map(m => [prefix.length + m.index, prefix.length + m.index + m[0].length]);
+  return { field, text: `${prefix}${snippet}${end < text.length ? '…' : ''}`, ranges };
+}
+
+function inRange(date, range) {
+  if (!range) return true;
+  if (range.$gte && date < range.$gte) return false;
+  if (range.$lte && date > range.$lte) return false;
+  return true;
+}
+
+async function searchReminders(userId, q, { range, reminderType, limit, pattern }) {
+  const filter = { user: userId, $text: { $search: q } };
+  if (reminderType) filter.type = reminderType;
+  // Scheduled reminders are dated by their start, unscheduled ones by creation
+  if (range) filter.$or = [{ startDate: range }, { startDate: null, createdAt: range }];
+
+  const reminders = await Reminder.find(filter, { score: { $meta: 'textScore' } })
+    .select('type title description startDate isCompleted list tags createdAt')
+    .sort({ score: { $meta: 'textScore' } })
+    .limit(limit)
+    .lean();
+
+  return reminders.map(r => ({
+    type: 'reminder',
+    id: r._id,
+    score: r.score,
+    date: r.startDate || r.createdAt,
+    title: r.title,
+    highlights: [highlight('title', r.title, pattern), highlight('description', r.description, pattern)].filter(Boolean),
+    data: {
+      reminderType: r.type,
+      startDate: r.startDate,
+      isCompleted: r.isCompleted,
+      list: r.list || null,
+      tags: r.tags || [],
+    },
+  }));
+}
+
+async function searchNotifications(userId, q, { range, limit, pattern }) {
+  const filter = { userId, $text: { $search: q } };
+  if (range) filter.createdAt = range;
+
+  const notifications = await Notification.find(filter, { score: { $meta: 'textScore' } })
+    .select('type message isRead reminderId createdAt')
+    .sort({ score: { $meta: 'textScore' } })
+    .limit(limit)
+    .lean();
+
+  return notifications.map(n => ({
+    type: 'notification',
+    id: n._id,
+    score: n.score,
+    date: n.createdAt,
+    title: null,
+    highlights: [highlight('message', n.message, pattern)].filter(Boolean),
+    data: { notificationType: n.type, isRead: n.isRead, reminderId: n.reminderId || null },
+  }));
+}
+
+// A user's chat history is a single Conversation document, so the text index only tells whether
+// it matches at all. Individual messages are then filtered and scored here: one point per
+// distinct matched word and a tenth per repeat, close to the range of MongoDB's text scores.
+async function searchMessages(userId, q, { range, limit, pattern, query }) {
+  const conversation = await Conversation.findOne({ userId, $text: { $search: q } }).select('messages').lean();
+  if (!conversation) return [];
+
+  const excluded = query.excluded.length ? termPattern(query.excluded) : null;
+  const results = [];
+  for (const message of conversation.messages) {
+    if (message.role === 'system' || !inRange(message.timestamp, range)) continue;
+    const content = message.content || '';
+    const lower = content.toLowerCase();
+    if (!query.phrases.every(phrase => lower.includes(phrase))) continue;
+    if (excluded && content.search(excluded) !== -1) continue;
+    const hits = [...content.matchAll(pattern)].map(m => m[0].toLowerCase());
+    if (!hits.length) continue;
+    const distinct = new Set(hits).size;
+    results.push({
+      type: 'message',
+      id: message._id,
+      score: distinct + 0.1 * (hits.length - distinct),
+      date: message.timestamp,
+      title: null,
+      highlights: [highlight('content', content, pattern)].filter(Boolean),
+      data: { role: message.role, conversationId: conversation._id },
+    });
+  }
+  return results.sort((a, b) => b.score - a.score).slice(0, limit);
+}
+
+/**
+ * Full-text search over a user's reminders, notifications and assistant chat messages.
+ * `q` uses MongoDB $text syntax ("exact phrase", -excluded). Results of all requested types
+ * are merged by relevance (best first); each carries highlighted snippets of the matched fields.
+ * @returns {Promise<Array>} up to `limit` results
+ */
+async function search(userId, q, { types = SEARCH_TYPES, from, to, reminderType, limit = 20 } = {}) {
+  const query = parseQuery(q);
+  const terms = [...query.phrases, ...query.words];
+  if (!terms.length) return [];
+
+  const range = from || to ? { ...(from && { $gte: from }), ...(to && { $lte: to }) } : null;
+  const options = { range, reminderType, limit, pattern: termPattern(terms), query };
+  const searches = {
+    reminder: () => searchReminders(userId, q, options),
+    notification: () => searchNotifications(userId, q, options),
+    message: () => searchMessages(userId, q, options),
+  };
+
+  const results = await Promise.all(types.map(type => searches[type]()));
+  return results
+    .flat()
+    .sort((a, b) => b.score - a.score || new Date(b.date) - new Date(a.date))
+    .slice(0, limit);
+}
+
+module.exports = {
+  SEARCH_TYPES,
+  search,
+};
@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+const Session = require('../models/sessionModel');
+const { generateAccessToken, generateRefreshToken, hashToken } = require('../utils/generateToken');
+
+// Rotated-away token hashes remembered per session for reuse detection
+const MAX_PREVIOUS_TOKEN_HASHES = 50;
+
+function refreshTtlMs() {
+  const days = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30', 10);
+  return (Number.isFinite(days) && days > 0 ? days : 30) * 24 * 60 * 60 * 1000;
+}
+
+// Extract the session id from a "<sessionId>.<random>" refresh token
+function sessionIdFromRefreshToken(refreshToken) {
+  const [sid] = String(refreshToken || '').split('.');
+  return mongoose.isValidObjectId(sid) ? sid : null;
+}
+
+// Client details recorded on the session. Device name/platform come from the sign-in body
+// (e.g. { deviceName: "Pixel 8", platform: "android" }); IP and user agent from the request.
+function clientInfo(req) {
+  if (!req) return {};
+  const body = req.body || {};
+  const forwarded = req.headers?.['x-forwarded-for'];
+  return {
+    deviceName: typeof body.deviceName === 'string' ? body.deviceName.slice(0, 100) : '',
+    platform: typeof body.platform === 'string' ? body.platform.slice(0, 30) : '',
+    ip: (forwarded ? String(forwarded).split(',')[0].trim() : req.ip) || '',
+    userAgent: String(req.headers?.['user-agent'] || '').slice(0, 300)
+  };
+}
+
+// Start a new session (refresh token family) and return the token pair for the client
+async function createSession(userId, req) {
+  const _id = new mongoose.Types.ObjectId();
+  const { token: refreshToken, hash } = generateRefreshToken(_id);
+  const session = await Session.create({
+    _id,
+    user: userId,
+    refreshTokenHash: hash,
+    ...clientInfo(req),
+    lastSeenAt: new Date(),
+    expiresAt: new Date(Date.now() + refreshTtlMs())
+  });
+  return {
+    session,
+    token: generateAccessToken(userId, session._id),
+    refreshToken
+  };
+}
+
+// Exchange a refresh token for a new pair. Presenting a token that was already rotated
+// away revokes the whole family, since either the client or an attacker holds a stale copy.
+// A token that was never issued for the session is only rejected: knowing the session id
+// (it is in every access token) must not be enough to sign someone out.
+async function rotateRefreshToken(refreshToken, req) {
+  const sid = sessionIdFromRefreshToken(refreshToken);
+  if (!sid) return { error: 'invalid' };
+
+  const presentedHash = hashToken(refreshToken);
+  const { token: nextRefreshToken, hash: nextHash } = generateRefreshToken(sid);
+
+  // Compare-and-swap so two concurrent refreshes cannot both succeed
+  const session = await Session.findOneAndUpdate(
+    { _id: sid, refreshTokenHash: presentedHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+    {
+      $set: { refreshTokenHash: nextHash, lastSeenAt: new Date(), ...(req ? { ip: clientInfo(req).ip } : {}) },
+      $push: { previousTokenHashes: { $each: [presentedHash], $slice: -MAX_PREVIOUS_TOKEN_HASHES } },
+      $inc: { generation: 1 }
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    const existing = await Session.findById(sid).select('+previousTokenHashes');
+    if (existing && existing.isActive() && (existing.previousTokenHashes || []).includes(presentedHash)) {
+      await revokeSession(existing._id, 'reuse_detected');
+      console.warn('[auth] refresh token reuse detected; session revoked', { sessionId: String(existing._id) });
+      return { error: 'reused' };
+    }
+    return { error: existing && !existing.isActive() ? 'revoked' : 'invalid' };
+  }
+
+  return {
+    session,
+    token: generateAccessToken(session.user, session._id),
+    refreshToken: nextRefreshToken
+  };
+}
+
+// Revoke the session a refresh token belongs to, only if the token is its current one
+async function revokeSessionByRefreshToken(refreshToken, reason = 'logout') {
+  const sid = sessionIdFromRefreshToken(refreshToken);
+  if (!sid) return null;
+  return Session.updateOne(
+    { _id: sid, refreshTokenHash: hashToken(refreshToken), revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+}
+
+async function revokeSession(sessionId, reason = 'logout', { userId } = {}) {
+  const q = { _id: sessionId, revokedAt: null };
+  if (userId) q.user = userId;
+  return Session.updateOne(q, { $set: { revokedAt: new Date(), revokedReason: reason } });
+}
+
+// Active (not revoked, not expired) sessions of a user, most recently used first
+async function listUserSessions(userId) {
+  return Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .sort({ lastSeenAt: -1 });
+}
+
+// Record activity without writing on every request
+async function touchSession(session, req) {
+  const intervalMs = 60 * 1000;
+  if (session.lastSeenAt && Date.now() - session.lastSeenAt.getTime() < intervalMs) return;
+  const ip = clientInfo(req).ip;
+  await Session.updateOne({ _id: session._id }, { $set: { lastSeenAt: new Date(), ...(ip ? { ip } : {}) } });
+}
+
+// Revoke every active session of a user, optionally keeping one (e.g. the caller's)
+async function revokeUserSessions(userId, { reason = 'logout', exceptSessionId } = {}) {
+  const q = { user: userId, revokedAt: null };
+  if (exceptSessionId) q._id = { $ne: exceptSessionId };
+  return Session.updateMany(q, { $set: { revokedAt: new Date(), revokedReason: reason } });
+}
+
+module.exports = {
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeSessionByRefreshToken,
+  revokeUserSessions,
+  listUserSessions,
+  touchSession,
+  sessionIdFromRefreshToken,
+};
@@ -0,0 +1,12 @@
+// Development provider: prints the message to the server log instead of sending it
+function createConsoleProvider() {
+  return {
+    name: 'console',
+    async send({ to, body }) {
+      console.log(`[sms:console] to=${to} body=${JSON.stringify(body)}`);
+      return { messageId: `console-${Date.now()}` };
+    },
+  };
+}
+
+module.exports = { createConsoleProvider };
@@ -0,0 +1,42 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+// Writes each message as a JSON file (local dev and tests), like the email outbox.
+// SMS_OUTBOX_DIR defaults to <tmp>/beela-sms-outbox.
+function outboxDir() {
+  return process.env.SMS_OUTBOX_DIR || path.join(os.tmpdir(), 'beela-sms-outbox');
+}
+
+function createFileProvider() {
+  return {
+    name: 'file',
+    async send({ to, body }) {
+      const dir = outboxDir();
+      await fs.mkdir(dir, { recursive: true });
+      const messageId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+      await fs.writeFile(
+        path.join(dir, `${messageId}.json`),
+        JSON.stringify({ messageId, date: new Date().toISOString(), to, body }, null, 2)
+      );
+      return { messageId };
+    },
+  };
+}
+
+// Messages currently in the outbox, oldest first (optionally only those sent to `to`)
+async function readSmsOutbox({ to } = {}) {
+  const dir = outboxDir();
+  let files;
+  try {
+    files = (await fs.readdir(dir)).filter(f => f.endsWith('.json')).sort();
+  } catch (e) {
+    if (e.code === 'ENOENT') return [];
+    throw e;
+  }
+  const messages = await Promise.all(files.map(async f => JSON.parse(await fs.readFile(path.join(dir, f), 'utf8'))));
+  return to ? messages.filter(m => m.to === to) : messages;
+}
+
+module.exports = { createFileProvider, readSmsOutbox };
@@ -0,0 +1,59 @@
+const { createConsoleProvider } = require('./console');
+const { createFileProvider } = require('./file');
+const { createTwilioProvider } = require('./twilio');
+
+// SMS providers. SMS_PROVIDER selects one of: console, file, twilio.
+// When unset: twilio if TWILIO_ACCOUNT_SID is configured, otherwise console in development and
+// tests only. Anywhere else this is a configuration error: console/file write sign-in codes to the server.
+// Each provider implements send({ to, body }) -> { messageId }.
+const FACTORIES = {
+  console: createConsoleProvider,
+  file: createFileProvider,
+  twilio: createTwilioProvider,
+};
+
+// Message texts per locale; {{code}} and {{minutes}} are substituted
+const MESSAGES = {
+  en: {
+    phone_verification: 'Your Beela verification code is {{code}}. It expires in {{minutes}} minutes.',
+    phone_login: 'Your Beela sign-in code is {{code}}. It expires in {{minutes}} minutes. Never share it.',
+  },
+  es: {
+    phone_verification: 'Tu código de verificación de Beela es {{code}}. Caduca en {{minutes}} minutos.',
+    phone_login: 'Tu código para iniciar sesión en Beela es {{code}}. Caduca en {{minutes}} minutos. No lo compartas.',
+  },
+};
+
+let cached = null;
+
+function providerName() {
+  const configured = String(process.env.SMS_PROVIDER || '').toLowerCase();
+  if (configured) return configured;
+  if (process.env.TWILIO_ACCOUNT_SID) return 'twilio';
+  if (['development', 'test'].includes(process.env.NODE_ENV)) return 'console';
+  throw new Error('No SMS provider configured: set SMS_PROVIDER or TWILIO_ACCOUNT_SID');
+}
+
+function getSmsProvider() {
+  const name = providerName();
+  if (cached && cached.name === name) return cached;
+  const factory = FACTORIES[name];
+  if (!factory) throw new Error(`Unknown SMS_PROVIDER: ${name}`);
+  cached = factory();
+  return cached;
+}
+
+function renderMessage(name, vars, locale) {
+  const base = String(locale || '').toLowerCase().split(/[-_]/)[0];
+  const text = (MESSAGES[base] || MESSAGES.en)[name] || MESSAGES.en[name];
+  if (!text) throw new Error(`Unknown SMS message: ${name}`);
+  return text.replace(/\{\{\s*(\w+)\s*\}\}/g, (m, key) => (vars[key] == null ? '' : String(vars[key])));
+}
+
+// Send a named message to an E.164 phone number
+async function sendSms(to, name, vars = {}, locale) {
+  const body = renderMessage(name, vars, locale);
+  return getSmsProvider().send({ to, body });
+}
+
+module.exports = { sendSms, getSmsProvider };
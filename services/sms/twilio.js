@@ -0,0 +1,33 @@
+const axios = require('axios');
+
+// Twilio Programmable Messaging: TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and either
+// TWILIO_FROM (a phone number) or TWILIO_MESSAGING_SERVICE_SID
+function createTwilioProvider() {
+  const sid = process.env.TWILIO_ACCOUNT_SID;
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+  if (!sid || !authToken) throw new Error('TWILIO_ACCOUNT_SID and TWILIO_AUTH_TOKEN are required');
+
+  return {
+    name: 'twilio',
+    async send({ to, body }) {
+      const params = new URLSearchParams({ To: to, Body: body });
+      if (process.env.TWILIO_MESSAGING_SERVICE_SID) {
+        params.set('MessagingServiceSid', process.env.TWILIO_MESSAGING_SERVICE_SID);
+      } else {
+        params.set('From', process.env.TWILIO_FROM || '');
+      }
+      const { data } = await axios.post(
+        `https://api.twilio.com/2010-04-01/Accounts/${sid}/Messages.json`,
+        params.toString(),
+        {
+          auth: { username: sid, password: authToken },
+          headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+          timeout: 10000,
+        }
+      );
+      return { messageId: data.sid };
+    },
+  };
+}
+
+module.exports = { createTwilioProvider };
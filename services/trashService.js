@@ -0,0 +1,64 @@
+const Reminder = require('../models/reminderModel');
+const ReminderOccurrence = require('../models/reminderOccurrenceModel');
+
+// How long a deleted reminder stays in the trash before it is purged
+function trashRetentionMs() {
+  const days = parseInt(process.env.TRASH_RETENTION_DAYS || '30', 10);
+  return (Number.isFinite(days) && days >= 1 ? days : 30) * 24 * 60 * 60 * 1000;
+}
+
+// When a reminder trashed at `deletedAt` will be purged
+function purgeAt(deletedAt) {
+  return new Date(new Date(deletedAt).getTime() + trashRetentionMs());
+}
+
+/**
+ * Move the reminder matching `filter` to the trash. Occurrence history is kept so a restore
+ * brings it back; a pending snooze is dropped.
+ * @returns {Promise<Object|null>} the trashed reminder, or null when none matched
+ */
+async function trashReminder(filter, { now = new Date(), session } = {}) {
+  return Reminder.findOneAndUpdate(
+    filter,
+    { $set: { deletedAt: now }, $unset: { snoozedUntil: 1 } },
+    { new: true, session }
+  ).select('_id title deletedAt');
+}
+
+// Take a reminder matching `filter` out of the trash
+async function restoreReminder(filter) {
+  return Reminder.findOneAndUpdate(
+    { deletedAt: { $ne: null }, ...filter },
+    { $unset: { deletedAt: 1 } },
+    { new: true }
+  ).select('-tts.audio');
+}
+
+/**
+ * Permanently delete trashed reminders matching `filter`, with their occurrence history.
+ * @returns {Promise<number>} reminders deleted
+ */
+async function deleteTrashed(filter) {
+  const trashed = await Reminder.find({ deletedAt: { $ne: null }, ...filter }).select('_id').lean();
+  if (!trashed.length) return 0;
+  const ids = trashed.map(r => r._id);
+  const [result] = await Promise.all([
+    Reminder.deleteMany({ _id: { $in: ids } }),
+    ReminderOccurrence.deleteMany({ reminder: { $in: ids } }),
+  ]);
+  return result.deletedCount || 0;
+}
+
+// Purge reminders whose retention period in the trash is over
+async function purgeExpiredTrash(now = new Date()) {
+  const purged = await deleteTrashed({ deletedAt: { $lte: new Date(now.getTime() - trashRetentionMs()) } });
+  return { purged };
+}
+
+module.exports = {
+  purgeAt,
+  trashReminder,
+  restoreReminder,
+  deleteTrashed,
+  purgeExpiredTrash,
+};
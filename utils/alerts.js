@@ -0,0 +1,92 @@
+// Notification alerts for a reminder. Each alert is either relative to the start
+// ({ minutesBefore: 60 }) or absolute ({ at: Date }). Absolute alerts only apply to
+// one-off reminders; recurring reminders use the relative ones for every occurrence.
+//
+// Reminders saved before alerts existed have a single notificationPreferenceMinutes
+// (or scheduleTime.minutesBeforeStart) instead; effectiveAlerts converts it on read.
+
+const MAX_ALERTS = 10;
+// The dispatcher looks this far ahead for one-off reminders
+const MAX_MINUTES_BEFORE = 7 * 24 * 60;
+const DEFAULT_MINUTES_BEFORE = 10;
+const ALERT_TYPES = ['Task', 'Meeting'];
+
+/**
+ * Validate one alert from client input.
+ * @returns {string|null} error message, or null when valid
+ */
+function alertError(alert) {
+  if (!alert || typeof alert !== 'object' || Array.isArray(alert)) return 'each alert must be an object';
+  const hasRelative = alert.minutesBefore !== undefined && alert.minutesBefore !== null;
+  const hasAbsolute = alert.at !== undefined && alert.at !== null;
+  if (hasRelative === hasAbsolute) return 'each alert needs exactly one of minutesBefore or at';
+  if (hasRelative) {
+    const m = Number(alert.minutesBefore);
+    if (!Number.isInteger(m) || m < 0 || m > MAX_MINUTES_BEFORE) {
+      return `minutesBefore must be an integer between 0 and ${MAX_MINUTES_BEFORE}`;
+    }
+  } else if (Number.isNaN(new Date(alert.at).getTime())) {
+    return 'at must be a valid date';
+  }
+  return null;
+}
+
+// Client input -> stored alerts: deduplicated, relative ones first (furthest ahead first)
+function normalizeAlerts(input) {
+  const seen = new Set();
+  const out = [];
+  for (const alert of input || []) {
+    const normalized = alert.at !== undefined && alert.at !== null
+      ? { at: new Date(alert.at) }
+      : { minutesBefore: Number(alert.minutesBefore) };
+    const key = normalized.at ? `a${normalized.at.getTime()}` : `m${normalized.minutesBefore}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    out.push(normalized);
+  }
+  const relative = out.filter(a => !a.at).sort((a, b) => b.minutesBefore - a.minutesBefore);
+  const absolute = out.filter(a => a.at).sort((a, b) => a.at - b.at);
+  return [...relative, ...absolute];
+}
+
+// The legacy single value, for reminders and clients that do not send alerts
+function legacyMinutesBefore(reminder, recurring) {
+  if (reminder.type === 'Meeting') return reminder.notificationPreferenceMinutes ?? DEFAULT_MINUTES_BEFORE;
+  // A routine's fixedTime is already the time to notify
+  if (recurring) return 0;
+  return reminder.scheduleTime?.minutesBeforeStart ?? reminder.notificationPreferenceMinutes ?? DEFAULT_MINUTES_BEFORE;
+}
+
+/**
+ * Alerts that apply to a reminder.
+ * @param {object} reminder
+ * @param {{ recurring?: boolean }} options - recurring reminders drop absolute alerts
+ * @returns {Array<{ minutesBefore: number }|{ at: Date }>}
+ */
+function effectiveAlerts(reminder, { recurring = false } = {}) {
+  const alerts = (reminder.alerts || []).filter(a => !recurring || a.at == null);
+  if (alerts.length) return alerts;
+  return [{ minutesBefore: legacyMinutesBefore(reminder, recurring) }];
+}
+
+// Identifies an alert within an occurrence (used in notification dedupe keys)
+function alertKey(alert) {
+  return alert.at != null ? `a${new Date(alert.at).getTime()}` : `m${alert.minutesBefore}`;
+}
+
+// Smallest relative offset, kept in notificationPreferenceMinutes for older clients
+function closestMinutesBefore(alerts) {
+  const relative = (alerts || []).filter(a => a.at == null).map(a => a.minutesBefore);
+  return relative.length ? Math.min(...relative) : undefined;
+}
+
+module.exports = {
+  MAX_ALERTS,
+  MAX_MINUTES_BEFORE,
+  ALERT_TYPES,
+  alertError,
+  normalizeAlerts,
+  effectiveAlerts,
+  alertKey,
+  closestMinutesBefore,
+};
@@ -0,0 +1,43 @@
+// Checklist (subtask) helpers for Task reminders
+
+const MAX_CHECKLIST_ITEMS = 100;
+
+// { done, total, label: "3 of 5" }, or null when the reminder has no checklist
+function checklistProgress(reminder) {
+  const items = reminder?.checklist || [];
+  if (!items.length) return null;
+  const done = items.filter(item => item.isCompleted).length;
+  return { done, total: items.length, label: `${done} of ${items.length}` };
+}
+
+// Client input -> stored checklist items, in the order given
+function normalizeChecklist(input) {
+  return (input || []).map(item => ({
+    title: String(item.title).trim(),
+    isCompleted: !!item.isCompleted,
+    completedAt: item.isCompleted ? new Date() : undefined,
+    dueAt: item.dueAt ? new Date(item.dueAt) : undefined,
+  }));
+}
+
+/**
+ * Keep the parent's completion in line with its checklist: a task whose items are all done
+ * is completed, and unchecking an item reopens it. Recurring tasks are left alone, since
+ * their completion is tracked per occurrence.
+ * @returns {boolean} whether isCompleted changed
+ */
+function syncParentCompletion(reminder, { recurring = false } = {}) {
+  const progress = checklistProgress(reminder);
+  if (!progress || recurring) return false;
+  const allDone = progress.done === progress.total;
+  if (reminder.isCompleted === allDone) return false;
+  reminder.isCompleted = allDone;
+  return true;
+}
+
+module.exports = {
+  MAX_CHECKLIST_ITEMS,
+  checklistProgress,
+  normalizeChecklist,
+  syncParentCompletion,
+};
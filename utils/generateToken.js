@@ -1,17 +1,64 @@
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 
 /**
- * Generate JWT token for user authentication
+ * Generate a short-lived JWT access token bound to a session
  * @param {string} userId - The user's ID
+ * @param {string} sessionId - The session (refresh token family) this token belongs to
  * @returns {string} JWT token
  */
-exports.generateToken = (userId) => {
-  // Long-lived token so user stays logged in until explicit logout or uninstall
-  const expiresIn = '365d';
-  
+exports.generateAccessToken = (userId, sessionId) => {
+  // Short-lived; clients renew it through /api/auth/refresh
+  const expiresIn = process.env.ACCESS_TOKEN_TTL || '15m';
+
   return jwt.sign(
-    { id: userId },
+    { id: userId, sid: sessionId },
     process.env.JWT_SECRET,
     { expiresIn }
   );
-};
\ No newline at end of file
+};
+
+/**
+ * Generate the short-lived token returned by password login when 2FA is enabled.
+ * It only proves the password step and is exchanged at /api/auth/2fa/verify.
+ * @param {string} userId - The user's ID
+ * @returns {string} JWT challenge token
+ */
+exports.generateChallengeToken = (userId) => jwt.sign(
+  { id: userId, purpose: '2fa_challenge', issuedAt: Date.now() },
+  process.env.JWT_SECRET,
+  { expiresIn: '5m' }
+);
+
+/**
+ * Verify a 2FA challenge token
+ * @param {string} token - Challenge token from login
+ * @returns {{userId: string, issuedAt: number}|null} user id and issue time (ms) when valid
+ */
+exports.verifyChallengeToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.purpose !== '2fa_challenge') return null;
+    return { userId: decoded.id, issuedAt: decoded.issuedAt || decoded.iat * 1000 };
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * Generate the opaque refresh token handed to the client
+ * Format: "<sessionId>.<random>" so the session can be found without storing the raw secret
+ * @param {string} sessionId - The session the token belongs to
+ * @returns {{ token: string, hash: string }} raw token and its SHA-256 hash
+ */
+exports.generateRefreshToken = (sessionId) => {
+  const token = `${sessionId}.${crypto.randomBytes(48).toString('hex')}`;
+  return { token, hash: exports.hashToken(token) };
+};
+
+/**
+ * Hash an opaque token for storage/lookup
+ * @param {string} token - Raw token
+ * @returns {string} hex SHA-256 digest
+ */
+exports.hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
@@ -0,0 +1,24 @@
+const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+
+/**
+ * Generate a 6-digit numeric one-time code with its bcrypt hash and expiry
+ * @param {number} ttlMs - Lifetime of the code in milliseconds (default 5 minutes)
+ * @returns {Promise<{ otp: string, otpHash: string, expiresAt: Date }>}
+ */
+exports.createOtp = async (ttlMs = 5 * 60 * 1000) => {
+  const otp = crypto.randomInt(100000, 1000000).toString();
+  const otpHash = await bcrypt.hash(otp, 10);
+  return { otp, otpHash, expiresAt: new Date(Date.now() + ttlMs) };
+};
+
+/**
+ * Check a submitted code against a stored hash/expiry pair
+ * @returns {Promise<'ok'|'missing'|'expired'|'invalid'>}
+ */
+exports.checkOtp = async (otp, otpHash, expiresAt) => {
+  if (!otpHash || !expiresAt) return 'missing';
+  if (new Date(expiresAt).getTime() < Date.now()) return 'expired';
+  const ok = await bcrypt.compare(String(otp), otpHash);
+  return ok ? 'ok' : 'invalid';
+};
@@ -0,0 +1,19 @@
+/**
+ * Normalize a phone number to E.164 ("+15551234567").
+ * Accepts spaces, dashes, dots and parentheses, and a leading "00" instead of "+".
+ * Numbers without a country code are rejected rather than guessed.
+ * @param {string} input
+ * @returns {string|null}
+ */
+exports.normalizePhone = (input) => {
+  if (typeof input !== 'string') return null;
+  let phone = input.trim().replace(/[\s\-.()]/g, '');
+  if (phone.startsWith('00')) phone = `+${phone.slice(2)}`;
+  return /^\+[1-9]\d{7,14}$/.test(phone) ? phone : null;
+};
+
+// "+15551234567" -> "+1******4567", for responses and logs
+exports.maskPhone = (phone) => {
+  if (!phone) return '';
+  return phone.length > 6 ? `${phone.slice(0, 2)}${'*'.repeat(phone.length - 6)}${phone.slice(-4)}` : phone;
+};
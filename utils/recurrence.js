@@ -0,0 +1,201 @@
+const { RRule } = require('rrule');
+
+// RFC 5545 recurrence for reminders.
+//
+// A recurrence is stored as { rrule, start, tz, exdates }:
+//   rrule   - the RRULE value without DTSTART, e.g. "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO"
+//   start   - DTSTART, the first occurrence, as a UTC instant
+//   tz      - IANA time zone the rule is evaluated in, so "every day at 08:00" stays at 08:00
+//             local time across DST changes
+//   exdates - occurrences (UTC instants) to skip
+//
+// Rules are expanded in "floating" local time (a Date whose UTC fields hold the wall-clock
+// time in tz) and every occurrence is then converted back to a real instant.
+
+const ALLOWED_FREQS = [RRule.DAILY, RRule.WEEKLY, RRule.MONTHLY, RRule.YEARLY];
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Expansion walks every candidate from DTSTART onward (every reminder, on every dispatcher run),
+// so rules are kept to at most a few candidates a day, starting no more than a year back
+const MAX_BYHOUR = 12;
+const MAX_START_AGE_MS = 366 * DAY_MS;
+
+function isValidTimeZone(tz) {
+  if (!tz || typeof tz !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+const formatters = new Map();
+function formatterFor(tz) {
+  if (!formatters.has(tz)) {
+    formatters.set(tz, new Intl.DateTimeFormat('en-US', {
+      timeZone: tz,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    }));
+  }
+  return formatters.get(tz);
+}
+
+// Offset of tz from UTC at the given instant, in ms (positive east of UTC)
+function tzOffsetMs(date, tz) {
+  const parts = Object.fromEntries(formatterFor(tz).formatToParts(date).map(p => [p.type, p.value]));
+  const asUtc = Date.UTC(+parts.year, +parts.month - 1, +parts.day, +parts.hour, +parts.minute, +parts.second);
+  return asUtc - (date.getTime() - date.getUTCMilliseconds());
+}
+
+// Real instant -> floating local time in tz
+function toFloating(date, tz) {
+  return new Date(date.getTime() + tzOffsetMs(date, tz));
+}
+
+// Floating local time in tz -> real instant. Wall times skipped by a DST jump move forward.
+function fromFloating(floating, tz) {
+  const guess = floating.getTime() - tzOffsetMs(floating, tz);
+  return new Date(floating.getTime() - tzOffsetMs(new Date(guess), tz));
+}
+
+/**
+ * Validate and normalize an RRULE value ("RRULE:" prefix optional).
+ * @returns {{ rrule: string }|{ error: string }}
+ */
+function normalizeRRule(input) {
+  if (typeof input !== 'string' || !input.trim()) return { error: 'rrule must be a non-empty string' };
+  const value = input.trim().replace(/^RRULE:/i, '').toUpperCase();
+  if (/DTSTART|\n/.test(value)) return { error: 'rrule must not contain DTSTART; use recurrence.start' };
+  let options;
+  try {
+    options = RRule.parseString(value);
+  } catch (e) {
+    return { error: `Invalid rrule: ${e.message}` };
+  }
+  if (!ALLOWED_FREQS.includes(options.freq)) {
+    return { error: 'rrule FREQ must be DAILY, WEEKLY, MONTHLY or YEARLY' };
+  }
+  if (options.count !== undefined && options.until !== undefined) {
+    return { error: 'rrule cannot have both COUNT and UNTIL' };
+  }
+  if (options.byminute != null || options.bysecond != null) {
+    return { error: 'rrule BYMINUTE and BYSECOND are not supported; the time of day comes from recurrence.start' };
+  }
+  if ([].concat(options.byhour ?? []).length > MAX_BYHOUR) {
+    return { error: `rrule BYHOUR can list at most ${MAX_BYHOUR} hours` };
+  }
+  return { rrule: value };
+}
+
+// Error message for a recurrence start a client may not set, or null
+function recurrenceStartError(start, now = new Date()) {
+  const date = new Date(start);
+  if (Number.isNaN(date.getTime())) return 'recurrence.start must be a valid date';
+  if (now.getTime() - date.getTime() > MAX_START_AGE_MS) {
+    return 'recurrence.start cannot be more than a year in the past';
+  }
+  return null;
+}
+
+// Legacy routine fields -> RRULE value ("daily" when no days are selected)
+function legacyRRule(scheduleDays) {
+  const days = [...new Set((scheduleDays || []).filter(d => Number.isInteger(d) && d >= 0 && d <= 6))].sort();
+  if (!days.length || days.length === 7) return 'FREQ=DAILY';
+  return `FREQ=WEEKLY;BYDAY=${days.map(d => WEEKDAY_CODES[d]).join(',')}`;
+}
+
+/**
+ * Build a recurrence from the legacy routine fields (scheduleType 'routine',
+ * scheduleDays, scheduleTime.fixedTime). Returns null when the reminder is not a routine.
+ * The first occurrence is the fixed time on the day the reminder was created (local to tz).
+ */
+function recurrenceFromLegacy(reminder, tz = 'UTC') {
+  const fixedTime = reminder?.scheduleTime?.fixedTime;
+  if (reminder?.scheduleType !== 'routine' || !/^\d{2}:\d{2}$/.test(fixedTime || '')) return null;
+  const zone = isValidTimeZone(tz) ? tz : 'UTC';
+  const [hh, mm] = fixedTime.split(':').map(Number);
+  const anchor = toFloating(new Date(reminder.createdAt || Date.now()), zone);
+  const floatingStart = new Date(Date.UTC(anchor.getUTCFullYear(), anchor.getUTCMonth(), anchor.getUTCDate(), hh, mm));
+  return {
+    rrule: legacyRRule(reminder.scheduleDays),
+    start: fromFloating(floatingStart, zone),
+    tz: zone,
+    exdates: [],
+    derived: true,
+  };
+}
+
+/**
+ * Concrete occurrences of a recurrence within [from, to], as UTC Dates.
+ * @param {object} recurrence - { rrule, start, tz, exdates }
+ * @param {{ from: Date, to: Date, limit?: number }} range
+ * @returns {Date[]}
+ */
+function expandOccurrences(recurrence, { from, to, limit = 500 }) {
+  if (!recurrence?.rrule || !recurrence.start) return [];
+  // Rules stored before the limits in normalizeRRule existed are not expanded
+  if (normalizeRRule(recurrence.rrule).error) return [];
+  const tz = isValidTimeZone(recurrence.tz) ? recurrence.tz : 'UTC';
+  const options = RRule.parseString(recurrence.rrule);
+  // UNTIL is an instant; compare it in the same floating frame as the occurrences
+  if (options.until) options.until = toFloating(options.until, tz);
+
+  const excluded = new Set((recurrence.exdates || []).map(d => new Date(d).getTime()));
+  // Pad the floating window by a day on each side; exact bounds are applied on real instants
+  const floatingFrom = new Date(toFloating(from, tz).getTime() - DAY_MS);
+  const floatingTo = new Date(toFloating(to, tz).getTime() + DAY_MS);
+
+  // Daily and weekly rules repeat every INTERVAL days/weeks, so an old DTSTART can move forward
+  // by whole periods without changing any occurrence (floating time has no DST). COUNT rules
+  // need every occurrence from the real start.
+  let dtstart = toFloating(new Date(recurrence.start), tz);
+  if (options.count === undefined && (options.freq === RRule.DAILY || options.freq === RRule.WEEKLY)) {
+    const periodMs = (options.interval || 1) * (options.freq === RRule.WEEKLY ? 7 : 1) * DAY_MS;
+    const periods = Math.floor((floatingFrom.getTime() - dtstart.getTime()) / periodMs);
+    if (periods > 0) dtstart = new Date(dtstart.getTime() + periods * periodMs);
+  }
+  const rule = new RRule({ ...options, dtstart });
+
+  const out = [];
+  rule.between(floatingFrom, floatingTo, true, (floating) => {
+    const occurrence = fromFloating(floating, tz);
+    if (occurrence >= from && occurrence <= to && !excluded.has(occurrence.getTime())) {
+      out.push(occurrence);
+    }
+    return out.length < limit;
+  });
+  return out;
+}
+
+// Next occurrence strictly after `after`, or null
+function nextOccurrence(recurrence, after = new Date()) {
+  const tz = isValidTimeZone(recurrence?.tz) ? recurrence.tz : 'UTC';
+  if (!recurrence?.rrule || !recurrence.start) return null;
+  // Look ahead a year at a time; rules that produce nothing for five years are treated as ended
+  for (let i = 0; i < 5; i++) {
+    const from = new Date(after.getTime() + 1 + i * 366 * DAY_MS);
+    const to = new Date(from.getTime() + 366 * DAY_MS);
+    const [first] = expandOccurrences({ ...recurrence, tz }, { from, to, limit: 1 });
+    if (first) return first;
+  }
+  return null;
+}
+
+module.exports = {
+  isValidTimeZone,
+  normalizeRRule,
+  recurrenceStartError,
+  legacyRRule,
+  recurrenceFromLegacy,
+  expandOccurrences,
+  nextOccurrence,
+  toFloating,
+  fromFloating,
+};
@@ -0,0 +1,67 @@
+const { toFloating, fromFloating, isValidTimeZone } = require('./recurrence');
+
+// Snooze durations accepted from notifications: a number of minutes, "10 min", "1 hour",
+// "2 days", or a named time ("tonight", "tomorrow morning", "next week") in the user's time zone.
+
+const MINUTE_MS = 60 * 1000;
+const MAX_SNOOZE_MS = 30 * 24 * 60 * MINUTE_MS;
+
+const UNITS = {
+  m: 1, min: 1, mins: 1, minute: 1, minutes: 1,
+  h: 60, hr: 60, hrs: 60, hour: 60, hours: 60,
+  d: 1440, day: 1440, days: 1440,
+};
+
+// Local wall-clock hour for each named part of the day
+const PARTS_OF_DAY = { morning: 9, afternoon: 14, evening: 18, tonight: 20 };
+
+// Instant for hh:00 on the local day `offsetDays` after `now` in tz
+function localTime(now, tz, offsetDays, hour) {
+  const local = toFloating(now, tz);
+  return fromFloating(new Date(Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate() + offsetDays, hour)), tz);
+}
+
+function parseNamed(text, now, tz) {
+  if (text === 'tonight') return localTime(now, tz, 0, PARTS_OF_DAY.tonight);
+  if (text === 'tomorrow') return localTime(now, tz, 1, PARTS_OF_DAY.morning);
+  if (text === 'next week') {
+    // Monday morning of the following week
+    const weekday = toFloating(now, tz).getUTCDay();
+    return localTime(now, tz, ((8 - weekday) % 7) || 7, PARTS_OF_DAY.morning);
+  }
+  const match = /^(this|tomorrow) (morning|afternoon|evening)$/.exec(text);
+  if (match) return localTime(now, tz, match[1] === 'tomorrow' ? 1 : 0, PARTS_OF_DAY[match[2]]);
+  return null;
+}
+
+/**
+ * Resolve a snooze duration to the time the reminder should fire again.
+ * @param {string|number} input - minutes, "<n> <unit>", or a named time
+ * @param {{ now?: Date, timezone?: string }} options
+ * @returns {{ until: Date }|{ error: string }}
+ */
+function parseSnooze(input, { now = new Date(), timezone = 'UTC' } = {}) {
+  const tz = isValidTimeZone(timezone) ? timezone : 'UTC';
+  let until = null;
+
+  if (typeof input === 'number' && Number.isFinite(input)) {
+    until = new Date(now.getTime() + Math.round(input) * MINUTE_MS);
+  } else if (typeof input === 'string') {
+    const text = input.trim().toLowerCase().replace(/\s+/g, ' ');
+    const relative = /^(?:in )?(\d+) ?([a-z]+)$/.exec(text);
+    if (/^\d+$/.test(text)) {
+      until = new Date(now.getTime() + parseInt(text, 10) * MINUTE_MS);
+    } else if (relative && UNITS[relative[2]]) {
+      until = new Date(now.getTime() + parseInt(relative[1], 10) * UNITS[relative[2]] * MINUTE_MS);
+    } else {
+      until = parseNamed(text, now, tz);
+    }
+  }
+
+  if (!until) return { error: 'Unrecognized snooze duration' };
+  if (until <= now) return { error: 'Snooze time has already passed' };
+  if (until - now > MAX_SNOOZE_MS) return { error: 'Snooze cannot exceed 30 days' };
+  return { until };
+}
+
+module.exports = { parseSnooze };
@@ -1,8 +1,43 @@
 const axios = require('axios');
 const crypto = require('crypto');
 const Reminder = require('../models/reminderModel');
+const { checklistProgress } = require('./checklist');
 
+function plural(n, unit) {
+  return `${n} ${unit}${n === 1 ? '' : 's'}`;
+}
+
+// "1 day", "1 hour 30 minutes", "10 minutes"
+function durationPhrase(minutes) {
+  const days = Math.floor(minutes / 1440);
+  const hours = Math.floor((minutes % 1440) / 60);
+  const mins = minutes % 60;
+  if (days) return hours ? `${plural(days, 'day')} ${plural(hours, 'hour')}` : plural(days, 'day');
+  if (hours) return mins ? `${plural(hours, 'hour')} ${plural(mins, 'minute')}` : plural(hours, 'hour');
+  return plural(mins, 'minute');
+}
+
+// Countdown for a meeting line; minutes < 0 means it has already started
+function leadTimePhrase(minutes) {
+  if (minutes > 0) return `Starts in ${durationPhrase(minutes)}.`;
+  if (minutes === 0) return 'Starting now.';
+  return 'It has already started.';
+}
+
+// fixedMinutes: minutes until a Meeting starts (the alert offset, or the time left after a
+// snooze); adds a countdown to the line
+// Tasks with a checklist also say how far along they are ("3 of 5 done.")
 function buildNotificationText(reminder, user, fixedMinutes = null) {
+  const base = baseNotificationText(reminder, user);
+  if (reminder.type === 'Meeting' && Number.isFinite(fixedMinutes)) {
+    return `${base} ${leadTimePhrase(fixedMinutes)}`;
+  }
+  const progress = reminder.type === 'Task' ? checklistProgress(reminder) : null;
+  if (progress) return `${base} ${progress.label} done.`;
+  return base;
+}
+
+function baseNotificationText(reminder, user) {
   // Always prefer AI line when present for voice parity with text
   if (reminder.aiNotificationLine) {
     return reminder.aiNotificationLine;
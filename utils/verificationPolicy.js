@@ -0,0 +1,21 @@
+// Features withheld from accounts that have not verified their email yet.
+// Configure with UNVERIFIED_RESTRICTED_FEATURES (comma-separated, e.g. "ai,tts"); "none" disables the policy.
+const DEFAULT_RESTRICTED = ['ai', 'tts'];
+
+function restrictedFeatures() {
+  const raw = process.env.UNVERIFIED_RESTRICTED_FEATURES;
+  if (raw === undefined || raw === '') return DEFAULT_RESTRICTED;
+  if (raw.trim().toLowerCase() === 'none') return [];
+  return raw.split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+}
+
+// Accounts created before email verification existed have no emailVerified value and are not restricted
+function isEmailUnverified(user) {
+  return !!user && user.emailVerified === false;
+}
+
+function isFeatureRestricted(user, feature) {
+  return isEmailUnverified(user) && restrictedFeatures().includes(String(feature).toLowerCase());
+}
+
+module.exports = { restrictedFeatures, isEmailUnverified, isFeatureRestricted };